@@ -0,0 +1,47 @@
+import WebSocket from 'ws';
+import { NetworkClient } from '../src/network.js';
+import { createMainRoad } from '../src/roadNetwork.js';
+import { lanePose } from '../src/traffic.js';
+import { DEFAULT_PORT } from './relay.js';
+
+// Headless drivers for trying out the relay: each one joins the room, builds
+// the room's main road from its seed and cruises along a lane, sending states
+// like a browser would and logging who it sees.
+//
+//   npm run bots -- [count] [ws://localhost:8787/?room=default]
+const count = Number(process.argv[2] ?? 2);
+const url = process.argv[3] ?? `ws://localhost:${DEFAULT_PORT}/?room=default`;
+const timestep = 1 / 60;
+
+async function startBot(index) {
+  // No seed of their own: they drive in whatever world the room has
+  const network = new NetworkClient({ url, seed: null, name: `Bot ${index + 1}`, WebSocket });
+  const { id, seed } = await network.connect();
+  const road = createMainRoad(seed, { width: 20 });
+  const direction = index % 2 === 0 ? 1 : -1;
+  const speed = 12 + index * 2;
+  let z = direction * 20 * (index + 1);
+
+  network.addEventListener('join', ({ name }) => console.log(`Bot ${index + 1}: ${name} joined`));
+  network.addEventListener('leave', ({ id: other }) => console.log(`Bot ${index + 1}: ${other} left`));
+  network.addEventListener('disconnect', () => process.exit(1));
+  console.log(`Bot ${index + 1} is driver ${id} on seed ${seed}`);
+
+  setInterval(() => {
+    z += direction * speed * timestep;
+    const pose = lanePose(road, z, direction);
+    network.update({ ...pose, speed, steerAngle: 0, yawRate: 0, longitudinalAccel: 0, lateralAccel: 0 });
+  }, timestep * 1000);
+
+  setInterval(() => {
+    const seen = network.getRemoteCars().map((car) => `${car.name || car.id} at z ${car.z.toFixed(0)}`);
+    console.log(`Bot ${index + 1} sees ${seen.join(', ') || 'nobody'}`);
+  }, 5000);
+}
+
+for (let index = 0; index < count; index++) {
+  startBot(index).catch((error) => {
+    console.error(`Bot ${index + 1}: ${error.message}`);
+    process.exit(1);
+  });
+}
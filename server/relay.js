@@ -0,0 +1,85 @@
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+// Relay for driving together. Clients in the same room see each other's cars:
+// the relay hands out ids, keeps each room's world seed (the first driver's)
+// so everyone gets the same scenery, and forwards car states to the rest of
+// the room. It runs no simulation of its own.
+//
+// Messages are JSON. A client connects to ws://host:port/?room=name, then
+//   sends    { type: 'hello', seed, name }
+//   gets     { type: 'welcome', id, seed, peers: [{ id, name }] }
+// and from then on sends { type: 'state', ... } at its own rate. Everyone
+// else in the room gets { type: 'join', id, name }, { type: 'leave', id } and
+// the states with the sender's id added.
+export const DEFAULT_PORT = 8787;
+
+const MAX_NAME_LENGTH = 32;
+
+export function startRelay({ port = DEFAULT_PORT, host } = {}) {
+  const rooms = new Map(); // Room name -> { seed, clients: Map(id -> { socket, name }) }
+  let nextId = 1;
+  const server = new WebSocketServer({ port, host });
+  // Without listeners, a taken port or a broken socket would crash the process
+  server.on('error', (error) => console.error(`Relay error: ${error.message}`));
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+  const broadcast = (room, message, except) => {
+    const text = JSON.stringify(message);
+    for (const [id, { socket }] of room.clients) {
+      if (id !== except && socket.readyState === socket.OPEN) socket.send(text);
+    }
+  };
+
+  server.on('connection', (socket, request) => {
+    const roomName = new URL(request.url, 'ws://relay').searchParams.get('room') || 'default';
+    let room = null;
+    let id = null;
+
+    socket.on('error', (error) => console.warn(`Relay: driver ${id ?? '(new)'}: ${error.message}`));
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+
+      if (message?.type === 'hello' && !room) {
+        // The first driver in a room picks its world
+        const seed = Number.isInteger(message.seed) && message.seed >= 0 ? message.seed : Math.floor(Math.random() * 1e9);
+        room = rooms.get(roomName) ?? { seed, clients: new Map() };
+        rooms.set(roomName, room);
+        id = nextId++;
+        const name = String(message.name || `Driver ${id}`).slice(0, MAX_NAME_LENGTH);
+
+        const peers = [...room.clients].map(([peerId, peer]) => ({ id: peerId, name: peer.name }));
+        send(socket, { type: 'welcome', id, seed: room.seed, peers });
+        broadcast(room, { type: 'join', id, name });
+        room.clients.set(id, { socket, name });
+      } else if (message?.type === 'state' && room) {
+        broadcast(room, { ...message, id }, id);
+      }
+    });
+
+    socket.on('close', () => {
+      if (!room) return;
+      room.clients.delete(id);
+      broadcast(room, { type: 'leave', id });
+      if (room.clients.size === 0) rooms.delete(roomName);
+    });
+  });
+
+  return server;
+}
+
+// npm run relay [-- port]; port 0 picks a free one
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2] ?? process.env.PORT ?? DEFAULT_PORT);
+  const server = startRelay({ port });
+  server.on('listening', () => console.log(`Relay listening on ws://localhost:${server.address().port}`));
+  server.on('error', () => { process.exitCode = 1; });
+}
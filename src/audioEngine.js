@@ -0,0 +1,189 @@
+// Car audio on the Web Audio API. The AudioContext is passed in, so tests can
+// hand over a mock that records gain and playback-rate changes.
+
+export const SOUND_URLS = {
+  idle: '/sounds/low-engine-hum.mp3',
+  load: '/sounds/v12-motor-engine.mp3',
+  wind: '/sounds/wind.mp3',
+  tires: '/sounds/handbrake.mp3'
+};
+
+// RPM each engine recording was made at; playbackRate is rpm / reference
+const IDLE_REFERENCE_RPM = 1000;
+const LOAD_REFERENCE_RPM = 4000;
+
+// Deceleration (m/s^2) and tyre slip beyond which the tyres squeal
+const SQUEAL_DECELERATION = 6;
+const SQUEAL_SLIP = 0.3;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Mix of the idle and load layers for an engine speed and throttle (0..1).
+// Idle dominates at low revs off throttle; load takes over as either rises.
+export function engineMix(rpm, throttle, { idleRpm = 800, maxRpm = 6500 } = {}) {
+  const revs = clamp01((rpm - idleRpm) / (maxRpm - idleRpm));
+  const load = clamp01(0.6 * revs + 0.6 * throttle);
+  return {
+    idleGain: Math.cos(load * Math.PI / 2),
+    loadGain: Math.sin(load * Math.PI / 2),
+    idleRate: Math.max(0.5, Math.min(2, rpm / IDLE_REFERENCE_RPM)),
+    loadRate: Math.max(0.5, Math.min(2, rpm / LOAD_REFERENCE_RPM))
+  };
+}
+
+// Wind grows with the square of speed, like drag does
+export function windGain(speed, topSpeed = 30) {
+  return clamp01((speed / topSpeed) ** 2);
+}
+
+// How loud the tyres should be, from braking deceleration and sideways slip
+export function tireGain(longitudinalAccel, speed, slip) {
+  if (Math.abs(speed) < 2) return 0;
+  const braking = -Math.sign(speed) * longitudinalAccel;
+  const fromBraking = clamp01((braking - SQUEAL_DECELERATION) / SQUEAL_DECELERATION);
+  const fromSlip = clamp01((slip - SQUEAL_SLIP) / (1 - SQUEAL_SLIP));
+  return Math.max(fromBraking, fromSlip);
+}
+
+export async function loadSounds(context, urls = SOUND_URLS) {
+  const entries = await Promise.all(Object.entries(urls).map(async ([name, url]) => {
+    const response = await fetch(url);
+    return [name, await context.decodeAudioData(await response.arrayBuffer())];
+  }));
+  return Object.fromEntries(entries);
+}
+
+export class AudioEngine {
+  constructor(context, buffers, { smoothing = 0.05 } = {}) {
+    this.context = context;
+    this.buffers = buffers;
+    this.smoothing = smoothing; // Time constant for gain and rate changes, in seconds
+
+    this.master = context.createGain();
+    this.master.connect(context.destination);
+
+    // Car sounds and weather sounds have their own volume under the master
+    this.buses = { engine: context.createGain(), ambient: context.createGain() };
+    this.buses.engine.connect(this.master);
+    this.buses.ambient.connect(this.master);
+
+    // Looping layers that play all the time and are shaped by their gains
+    this.layers = {};
+    for (const name of ['idle', 'load', 'tires']) {
+      this.layers[name] = this.createLoop(buffers[name], this.buses.engine);
+    }
+    this.layers.wind = this.createLoop(buffers.wind, this.buses.ambient);
+    this.layers.rain = this.createRainLoop();
+
+    // Ambient levels set by the weather
+    this.ambient = { rain: 0, wind: 0 };
+  }
+
+  // Rain is filtered white noise, so it needs no recording
+  createRainLoop() {
+    const { sampleRate } = this.context;
+    const buffer = this.context.createBuffer(1, sampleRate * 2, sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 2500;
+    filter.Q.value = 0.6;
+
+    const loop = this.createLoop(buffer, this.buses.ambient);
+    loop.source.disconnect();
+    loop.source.connect(filter);
+    filter.connect(loop.gain);
+    return loop;
+  }
+
+  createLoop(buffer, output) {
+    const gain = this.context.createGain();
+    gain.gain.value = 0;
+    gain.connect(output);
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.connect(gain);
+    source.start();
+    return { source, gain };
+  }
+
+  setTarget(param, value) {
+    param.setTargetAtTime(value, this.context.currentTime, this.smoothing);
+  }
+
+  // vehicle is the simulated vehicle state, throttle the current 0..1 input
+  update(vehicle, throttle, params) {
+    const { idle, load, wind, tires } = this.layers;
+    const mix = engineMix(vehicle.rpm, throttle, params);
+
+    this.setTarget(idle.gain.gain, mix.idleGain * 0.6);
+    this.setTarget(load.gain.gain, mix.loadGain * 0.8);
+    this.setTarget(idle.source.playbackRate, mix.idleRate);
+    this.setTarget(load.source.playbackRate, mix.loadRate);
+    this.setTarget(wind.gain.gain, Math.max(windGain(Math.abs(vehicle.speed)) * 0.7, this.ambient.wind));
+    this.setTarget(this.layers.rain.gain.gain, this.ambient.rain);
+    this.setTarget(tires.gain.gain, tireGain(vehicle.longitudinalAccel, vehicle.speed, vehicle.slip) * 0.8);
+  }
+
+  // Weather ambience: rain and wind levels in 0..1
+  setAmbience({ rain = 0, wind = 0 }) {
+    this.ambient.rain = rain;
+    this.ambient.wind = wind;
+  }
+
+  // One-off thud for collisions; impact is 0..1
+  playImpact(impact) {
+    const gain = this.context.createGain();
+    gain.gain.value = Math.min(1, 0.2 + impact);
+    gain.connect(this.buses.engine);
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.buffers.tires;
+    source.connect(gain);
+    source.start(0, 0, 0.6);
+    source.onended = () => gain.disconnect();
+  }
+
+  setVolume(volume) {
+    this.setTarget(this.master.gain, volume);
+  }
+
+  // All three levels in 0..1; the engine level also covers tyres and impacts
+  setVolumes({ master = 1, engine = 1, ambient = 1 }) {
+    this.setVolume(master);
+    this.setTarget(this.buses.engine.gain, engine);
+    this.setTarget(this.buses.ambient.gain, ambient);
+  }
+
+  // Browsers keep audio suspended until the page gets a user gesture
+  resume() {
+    if (this.context.state === 'suspended') {
+      return this.context.resume();
+    }
+    return Promise.resolve();
+  }
+
+  // Silence everything, e.g. while the page is hidden; resume() carries on
+  suspend() {
+    if (this.context.state === 'running') {
+      return this.context.suspend();
+    }
+    return Promise.resolve();
+  }
+
+  // Stop the loops and take the engine off the speakers for good
+  dispose() {
+    for (const { source, gain } of Object.values(this.layers)) {
+      source.stop();
+      source.disconnect();
+      gain.disconnect();
+    }
+    this.master.disconnect();
+  }
+}
@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+
+export const CAMERA_MODES = ['chase', 'hood', 'cinematic', 'orbit'];
+
+// Per-mode settings. Distances are in world units, fov in degrees.
+export const DEFAULT_CAMERA_SETTINGS = {
+  chase: {
+    distance: 10,
+    height: 5,
+    stiffness: 4,      // How quickly the camera catches up (1/s)
+    fov: 75,
+    fovBoost: 15,      // Extra fov at fovBoostSpeed
+    fovBoostSpeed: 30  // m/s
+  },
+  hood: {
+    offset: [0, 1.6, 0.6],
+    fov: 80
+  },
+  cinematic: {
+    leadDistance: 45,  // How far ahead of the car the next shot is placed
+    sideOffset: 14,
+    height: 2.5,
+    cutDistance: 60,   // Cut to a new shot once the car is this far away
+    fov: 50
+  },
+  orbit: {
+    radius: 14,
+    minRadius: 5,
+    maxRadius: 60,
+    fov: 70,
+    rotateSpeed: 0.005
+  },
+  transitionTime: 0.8  // Seconds to blend between modes
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const FLIP = new THREE.Quaternion().setFromAxisAngle(UP, Math.PI); // Cameras look down -z
+
+// Points the camera in several ways around the car and blends smoothly when
+// the mode changes. Each mode works out a desired pose; the camera follows it.
+export class CameraController {
+  constructor(camera, domElement, { getGroundHeight = () => -Infinity, settings = DEFAULT_CAMERA_SETTINGS } = {}) {
+    this.camera = camera;
+    this.getGroundHeight = getGroundHeight;
+    this.settings = settings;
+    this.mode = 'chase';
+
+    // Pose the current mode wants, and the mode's own smoothed state
+    this.desired = { position: camera.position.clone(), quaternion: camera.quaternion.clone(), fov: camera.fov };
+    this.chasePosition = camera.position.clone();
+    this.shot = null;
+    this.orbit = { theta: Math.PI, phi: 1.1, radius: settings.orbit.radius };
+
+    // Blend from the pose the camera had when the mode changed
+    this.transition = null;
+
+    this.setupOrbitControls(domElement);
+  }
+
+  setupOrbitControls(domElement) {
+    // Aborted by dispose, which takes all the listeners off again
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+    let dragging = false;
+    domElement.addEventListener('pointerdown', () => { dragging = this.mode === 'orbit'; }, { signal });
+    window.addEventListener('pointerup', () => { dragging = false; }, { signal });
+    window.addEventListener('pointermove', (event) => {
+      if (!dragging) return;
+      const { rotateSpeed } = this.settings.orbit;
+      this.orbit.theta -= event.movementX * rotateSpeed;
+      this.orbit.phi = THREE.MathUtils.clamp(this.orbit.phi - event.movementY * rotateSpeed, 0.2, 1.5);
+    }, { signal });
+    domElement.addEventListener('wheel', (event) => {
+      if (this.mode !== 'orbit') return;
+      const { minRadius, maxRadius } = this.settings.orbit;
+      this.orbit.radius = THREE.MathUtils.clamp(this.orbit.radius * Math.exp(event.deltaY * 0.001), minRadius, maxRadius);
+    }, { passive: true, signal });
+  }
+
+  dispose() {
+    this.listeners.abort();
+  }
+
+  setMode(mode) {
+    if (mode === this.mode || !CAMERA_MODES.includes(mode)) return;
+    this.mode = mode;
+    this.transition = {
+      elapsed: 0,
+      position: this.camera.position.clone(),
+      quaternion: this.camera.quaternion.clone(),
+      fov: this.camera.fov
+    };
+    this.shot = null;
+    this.chasePosition.copy(this.camera.position);
+  }
+
+  nextMode() {
+    const index = CAMERA_MODES.indexOf(this.mode);
+    this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+  }
+
+  // car is the car's Object3D, speed its speed in m/s, dt the frame time in seconds
+  update(car, speed, dt) {
+    const target = car.position.clone().add(new THREE.Vector3(0, 1, 0));
+    const heading = car.rotation.y;
+    const forward = new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+
+    switch (this.mode) {
+      case 'chase': this.updateChase(target, forward, speed, dt); break;
+      case 'hood': this.updateHood(car); break;
+      case 'cinematic': this.updateCinematic(target, forward); break;
+      case 'orbit': this.updateOrbit(target); break;
+    }
+    this.apply(dt);
+  }
+
+  lookAt(position, target) {
+    const matrix = new THREE.Matrix4().lookAt(position, target, UP);
+    this.desired.quaternion.setFromRotationMatrix(matrix);
+  }
+
+  // Keep a camera position above the ground
+  clampToGround(position, clearance = 1) {
+    position.y = Math.max(position.y, this.getGroundHeight(position.x, position.z) + clearance);
+  }
+
+  updateChase(target, forward, speed, dt) {
+    const { distance, height, stiffness, fov, fovBoost, fovBoostSpeed } = this.settings.chase;
+    const ideal = target.clone().addScaledVector(forward, -distance).add(new THREE.Vector3(0, height - 1, 0));
+
+    // Damped spring towards the ideal spot, independent of frame rate
+    this.chasePosition.lerp(ideal, 1 - Math.exp(-stiffness * dt));
+    this.clampToGround(this.chasePosition);
+
+    this.desired.position.copy(this.chasePosition);
+    this.lookAt(this.desired.position, target);
+    this.desired.fov = fov + fovBoost * Math.min(1, Math.abs(speed) / fovBoostSpeed);
+  }
+
+  updateHood(car) {
+    const { offset, fov } = this.settings.hood;
+    this.desired.position.set(...offset);
+    car.updateMatrixWorld();
+    car.localToWorld(this.desired.position);
+    this.desired.quaternion.copy(car.quaternion).multiply(FLIP);
+    this.desired.fov = fov;
+  }
+
+  updateCinematic(target, forward) {
+    const { leadDistance, sideOffset, height, cutDistance, fov } = this.settings.cinematic;
+
+    // Cut to a fresh roadside spot ahead of the car once it has driven past
+    if (!this.shot || this.shot.distanceTo(target) > cutDistance) {
+      const side = new THREE.Vector3(forward.z, 0, -forward.x).multiplyScalar(Math.random() < 0.5 ? sideOffset : -sideOffset);
+      this.shot = target.clone().addScaledVector(forward, leadDistance).add(side);
+      this.shot.y = this.getGroundHeight(this.shot.x, this.shot.z) + height;
+      this.clampToGround(this.shot);
+    }
+
+    this.desired.position.copy(this.shot);
+    this.lookAt(this.desired.position, target);
+    this.desired.fov = fov;
+  }
+
+  updateOrbit(target) {
+    const { theta, phi, radius } = this.orbit;
+    this.desired.position.setFromSphericalCoords(radius, phi, theta).add(target);
+    this.clampToGround(this.desired.position);
+    this.lookAt(this.desired.position, target);
+    this.desired.fov = this.settings.orbit.fov;
+  }
+
+  // Move the camera to the desired pose, easing in after a mode change
+  apply(dt) {
+    const { position, quaternion, fov } = this.desired;
+    let blend = 1;
+    if (this.transition) {
+      this.transition.elapsed += dt;
+      const t = Math.min(1, this.transition.elapsed / this.settings.transitionTime);
+      blend = t * t * (3 - 2 * t);
+      if (t >= 1) this.transition = null;
+    }
+
+    if (blend < 1) {
+      this.camera.position.lerpVectors(this.transition.position, position, blend);
+      this.camera.quaternion.slerpQuaternions(this.transition.quaternion, quaternion, blend);
+      this.camera.fov = THREE.MathUtils.lerp(this.transition.fov, fov, blend);
+    } else {
+      this.camera.position.copy(position);
+      this.camera.quaternion.copy(quaternion);
+      this.camera.fov = fov;
+    }
+    this.camera.updateProjectionMatrix();
+  }
+}
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { createCar } from './carModel.js';
+
+const loader = new GLTFLoader();
+
+export async function loadCarManifest(url = '/cars/manifest.json') {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load car manifest from ${url} (${response.status})`);
+  }
+  const { cars } = await response.json();
+  if (!Array.isArray(cars)) {
+    throw new Error(`Car manifest ${url} has no list of cars`);
+  }
+  return cars;
+}
+
+// Rebuild a loaded model into the layout createCar() produces: body parts in
+// userData.body and each wheel node wrapped in a steering pivot and a spinner,
+// so CarRig can animate either kind of car.
+export function rigModel(model, entry) {
+  const car = new THREE.Group();
+  const body = new THREE.Group();
+  car.add(body);
+
+  model.scale.setScalar(entry.scale ?? 1);
+  model.rotation.y = entry.rotationY ?? 0;
+  body.add(model);
+  car.updateMatrixWorld(true);
+
+  const wheels = {};
+  let wheelRadius = 0;
+  for (const [slot, nodeName] of Object.entries(entry.wheels ?? {})) {
+    const node = model.getObjectByName(nodeName);
+    if (!node) {
+      throw new Error(`Wheel node "${nodeName}" not found in ${entry.model}`);
+    }
+
+    // Centre the pivot on the wheel, then move the wheel under it without
+    // changing where it sits in the world
+    const bounds = new THREE.Box3().setFromObject(node);
+    const center = bounds.getCenter(new THREE.Vector3());
+    wheelRadius = Math.max(wheelRadius, (bounds.max.y - bounds.min.y) / 2);
+
+    const pivot = new THREE.Group();
+    pivot.position.copy(center);
+    car.add(pivot);
+    const spinner = new THREE.Group();
+    pivot.add(spinner);
+    car.updateMatrixWorld(true);
+    spinner.attach(node);
+
+    wheels[slot] = { pivot, spinner, mesh: node };
+  }
+
+  for (const slot of ['frontLeft', 'frontRight', 'backLeft', 'backRight']) {
+    if (!wheels[slot]) {
+      throw new Error(`No ${slot} wheel configured for ${entry.id}`);
+    }
+  }
+
+  // Models sit with their lowest point on the ground
+  const bounds = new THREE.Box3().setFromObject(car);
+  car.children.forEach((child) => { child.position.y -= bounds.min.y; });
+
+  car.traverse((child) => {
+    if (child.isMesh) child.castShadow = true;
+  });
+
+  car.userData.body = body;
+  car.userData.wheels = wheels;
+  car.userData.wheelRadius = entry.wheelRadius ?? wheelRadius;
+  return car;
+}
+
+// Load the model for a manifest entry. Entries without a model, and models
+// that fail to load or lack the named wheels, fall back to the built-in car.
+export async function loadCar(entry) {
+  const fallback = () => createCar({ color: new THREE.Color(entry.color ?? 0xff0000) });
+  if (!entry.model) return fallback();
+
+  try {
+    const gltf = await loader.loadAsync(entry.model);
+    return rigModel(gltf.scene, entry);
+  } catch (error) {
+    console.warn(`Using the built-in car instead of ${entry.model}:`, error);
+    return fallback();
+  }
+}
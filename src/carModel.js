@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+
+export const WHEEL_RADIUS = 0.5;
+
+// Build a wheel as pivot > spinner > mesh: the pivot steers around y, the
+// spinner rolls around x, and the mesh just lays the cylinder on its side.
+function createWheel(geometry, material, x, z) {
+  const pivot = new THREE.Group();
+  pivot.position.set(x, WHEEL_RADIUS, z);
+
+  const spinner = new THREE.Group();
+  pivot.add(spinner);
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.rotation.z = Math.PI / 2;
+  mesh.castShadow = true;
+  spinner.add(mesh);
+
+  return { pivot, spinner, mesh };
+}
+
+// The built-in box-and-cylinder car. Everything that moves with the
+// suspension sits in userData.body; the wheels are exposed in userData.wheels.
+export function createCar({ color = 0xff0000, roofColor = new THREE.Color(color).multiplyScalar(0.67) } = {}) {
+  const car = new THREE.Group();
+  const body = new THREE.Group();
+  car.add(body);
+  
+  // Car body
+  const bodyGeometry = new THREE.BoxGeometry(2, 1, 4);
+  const bodyMaterial = new THREE.MeshStandardMaterial({ color });
+  const shell = new THREE.Mesh(bodyGeometry, bodyMaterial);
+  shell.position.y = 0.5;
+  shell.castShadow = true;
+  body.add(shell);
+  
+  // Car roof
+  const roofGeometry = new THREE.BoxGeometry(1.5, 0.7, 2);
+  const roofMaterial = new THREE.MeshStandardMaterial({ color: roofColor });
+  const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+  roof.position.y = 1.35;
+  roof.position.z = -0.5;
+  roof.castShadow = true;
+  body.add(roof);
+  
+  // Wheels
+  const wheelGeometry = new THREE.CylinderGeometry(WHEEL_RADIUS, WHEEL_RADIUS, 0.4, 16);
+  const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+  const wheels = {
+    frontLeft: createWheel(wheelGeometry, wheelMaterial, -1.2, 1.2),
+    frontRight: createWheel(wheelGeometry, wheelMaterial, 1.2, 1.2),
+    backLeft: createWheel(wheelGeometry, wheelMaterial, -1.2, -1.2),
+    backRight: createWheel(wheelGeometry, wheelMaterial, 1.2, -1.2)
+  };
+  Object.values(wheels).forEach((wheel) => car.add(wheel.pivot));
+  
+  // Headlights
+  const headlightGeometry = new THREE.SphereGeometry(0.2, 16, 16);
+  const headlightMaterial = new THREE.MeshBasicMaterial({ color: 0xffffcc });
+  
+  // Left headlight
+  const headlightL = new THREE.Mesh(headlightGeometry, headlightMaterial);
+  headlightL.position.set(-0.7, 0.7, 2);
+  body.add(headlightL);
+  
+  // Right headlight
+  const headlightR = new THREE.Mesh(headlightGeometry, headlightMaterial);
+  headlightR.position.set(0.7, 0.7, 2);
+  body.add(headlightR);
+  
+  // Window glass
+  const windshieldGeometry = new THREE.PlaneGeometry(1.4, 0.7);
+  const windowMaterial = new THREE.MeshStandardMaterial({ 
+    color: 0x88ccff,
+    transparent: true,
+    opacity: 0.7
+  });
+  
+  // Front windshield
+  const frontWindshield = new THREE.Mesh(windshieldGeometry, windowMaterial);
+  frontWindshield.position.set(0, 1.35, 0.5);
+  frontWindshield.rotation.x = Math.PI / 2.5;
+  body.add(frontWindshield);
+  
+  // Back windshield
+  const backWindshield = new THREE.Mesh(windshieldGeometry, windowMaterial);
+  backWindshield.position.set(0, 1.35, -1.5);
+  backWindshield.rotation.x = -Math.PI / 2.5;
+  body.add(backWindshield);
+
+  car.userData.body = body;
+  car.userData.paint = { body: bodyMaterial, roof: roofMaterial };
+  car.userData.wheels = wheels;
+  car.userData.wheelRadius = WHEEL_RADIUS;
+  
+  return car;
+}
+
+// A left and a right headlight, switched off. Lights can be made ahead of
+// time and handed to addCarLights, since adding lights to the scene later
+// makes three.js recompile every material.
+export function createHeadlights() {
+  return [-1, 1].map(() => new THREE.SpotLight(0xfff4dd, 0, 60, Math.PI / 7, 0.4, 1.5));
+}
+
+// Real headlights and tail lights, placed from the car's bounding box so they
+// fit glTF cars as well as the built-in one. Switched with setLightsOn().
+export function addCarLights(car, headlights = createHeadlights()) {
+  const bounds = new THREE.Box3().setFromObject(car);
+  const size = bounds.getSize(new THREE.Vector3());
+  const body = car.userData.body ?? car;
+  const height = bounds.min.y + size.y * 0.35;
+
+  headlights.forEach((light, i) => {
+    const side = i === 0 ? -1 : 1;
+    light.position.set(side * size.x * 0.35, height, bounds.max.z);
+    light.target.position.set(side * size.x * 0.35, 0, bounds.max.z + 20);
+    body.add(light, light.target);
+  });
+
+  const tailMaterial = new THREE.MeshStandardMaterial({
+    color: 0x550000,
+    emissive: 0xff0000,
+    emissiveIntensity: 0
+  });
+  const tailGeometry = new THREE.BoxGeometry(0.4, 0.2, 0.05);
+  const tailLights = [-1, 1].map((side) => {
+    const mesh = new THREE.Mesh(tailGeometry, tailMaterial);
+    mesh.position.set(side * size.x * 0.35, height, bounds.min.z - 0.01);
+    body.add(mesh);
+    return mesh;
+  });
+
+  car.userData.lights = { headlights, tailLights, tailMaterial, on: false };
+}
+
+export function setLightsOn(car, on) {
+  const lights = car.userData.lights;
+  if (!lights || lights.on === on) return;
+  lights.on = on;
+  lights.headlights.forEach((light) => { light.intensity = on ? 80 : 0; });
+  lights.tailMaterial.emissiveIntensity = on ? 1.5 : 0;
+}
+
+// Repaint a car from createCar, roof a shade darker like a new one
+export function setCarColor(car, color) {
+  const { paint } = car.userData;
+  paint.body.color.set(color);
+  paint.roof.color.set(color).multiplyScalar(0.67);
+}
+
+// See-through copy of the built-in car for replays. Materials are its own,
+// so the player's car is untouched; it casts no shadow and never hides
+// what's behind it.
+export function createGhostCar({ color = 0x66ccff, opacity = 0.35 } = {}) {
+  const ghost = createCar({ color });
+  ghost.traverse((child) => {
+    if (!child.isMesh) return;
+    child.material = child.material.clone();
+    child.material.transparent = true;
+    child.material.opacity = opacity;
+    child.material.depthWrite = false;
+    child.castShadow = false;
+  });
+  ghost.rotation.order = 'YXZ';
+  return ghost;
+}
@@ -0,0 +1,50 @@
+// Animates a car model from the vehicle state: wheels roll with the distance
+// travelled, the front wheels follow the steering angle, and the body pitches
+// and rolls on a damped spring as the car accelerates, brakes and corners.
+export const DEFAULT_SUSPENSION = {
+  stiffness: 60,       // spring constant (1/s^2)
+  damping: 9,          // damping constant (1/s)
+  pitchPerAccel: 0.01, // rad of pitch per m/s^2 of longitudinal acceleration
+  rollPerAccel: 0.012, // rad of roll per m/s^2 of lateral acceleration
+  maxAngle: 0.12       // rad, how far the body can lean either way
+};
+
+// One axis of the body (pitch or roll) as a mass on a spring
+function stepSpring(spring, target, settings, dt) {
+  const force = settings.stiffness * (target - spring.angle) - settings.damping * spring.velocity;
+  spring.velocity += force * dt;
+  spring.angle += spring.velocity * dt;
+}
+
+export class CarRig {
+  constructor(car, suspension = DEFAULT_SUSPENSION) {
+    this.car = car;
+    this.suspension = suspension;
+    this.wheelAngle = 0;
+    this.pitch = { angle: 0, velocity: 0 };
+    this.roll = { angle: 0, velocity: 0 };
+  }
+
+  update(vehicle, dt) {
+    const { body, wheels, wheelRadius } = this.car.userData;
+
+    // Rolling: the wheels turn by the distance covered over their radius
+    this.wheelAngle = (this.wheelAngle + (vehicle.speed * dt) / wheelRadius) % (Math.PI * 2);
+    for (const wheel of Object.values(wheels)) {
+      wheel.spinner.rotation.x = this.wheelAngle;
+    }
+
+    // Steering: only the front wheels turn
+    wheels.frontLeft.pivot.rotation.y = vehicle.steerAngle;
+    wheels.frontRight.pivot.rotation.y = vehicle.steerAngle;
+
+    // Suspension: nose lifts under acceleration, dives under braking,
+    // and the body leans away from the corner
+    const { pitchPerAccel, rollPerAccel, maxAngle } = this.suspension;
+    const clamp = (value) => Math.max(-maxAngle, Math.min(maxAngle, value));
+    stepSpring(this.pitch, clamp(-vehicle.longitudinalAccel * pitchPerAccel), this.suspension, dt);
+    stepSpring(this.roll, clamp(vehicle.lateralAccel * rollPerAccel), this.suspension, dt);
+    body.rotation.x = this.pitch.angle;
+    body.rotation.z = this.roll.angle;
+  }
+}
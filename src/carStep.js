@@ -0,0 +1,52 @@
+import { stepVehicle } from './vehiclePhysics.js';
+
+// Half the size of the box that stands in for a driven car in the collision world
+export const CAR_HALF_WIDTH = 1.4;
+export const CAR_HALF_LENGTH = 2;
+
+// Rest a pose ({ x, z, heading }) on the terrain: sets its height, pitch and roll
+export function followGround(pose, terrain) {
+  const { x, z, heading } = pose;
+  const forwardX = Math.sin(heading);
+  const forwardZ = Math.cos(heading);
+
+  // Sample the ground under the wheelbase and across the axle
+  const front = terrain.getHeightAt(x + forwardX * 1.2, z + forwardZ * 1.2);
+  const back = terrain.getHeightAt(x - forwardX * 1.2, z - forwardZ * 1.2);
+  const left = terrain.getHeightAt(x + forwardZ * 1.2, z - forwardX * 1.2);
+  const right = terrain.getHeightAt(x - forwardZ * 1.2, z + forwardX * 1.2);
+
+  pose.y = (front + back + left + right) / 4;
+  pose.pitch = Math.atan2(front - back, 2.4);
+  pose.roll = Math.atan2(left - right, 2.4);
+}
+
+// One fixed step of a driven car: the vehicle physics, then pushed out of
+// whatever it ran into, then rested on the ground. vehicle and pose are
+// updated in place. Players drive through here and replays are re-run through
+// here, so a re-run hits the same obstacles the drive did.
+// id and ignore are passed on to CollisionWorld.resolve.
+export function stepCar({ vehicle, pose, input, params, dt, collisionWorld = null, terrain = null, id, ignore }) {
+  stepVehicle(vehicle, input, params, dt);
+  pose.x = vehicle.x;
+  pose.z = vehicle.z;
+  pose.heading = vehicle.heading;
+
+  // Keep the car out of trees, mountains, other cars and the world edge
+  if (collisionWorld) {
+    vehicle.speed = collisionWorld.resolve({
+      position: pose,
+      heading: vehicle.heading,
+      speed: vehicle.speed,
+      halfWidth: CAR_HALF_WIDTH,
+      halfLength: CAR_HALF_LENGTH,
+      id,
+      ignore
+    });
+    vehicle.x = pose.x;
+    vehicle.z = pose.z;
+  }
+
+  // Rest the car on the terrain and tilt it to the slope
+  if (terrain) followGround(pose, terrain);
+}
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+
+const GATE_HEIGHT = 6;
+const POST_RADIUS = 0.3;
+
+const COLORS = {
+  next: new THREE.Color(0x33ddff),
+  finish: new THREE.Color(0xffcc33),
+  waiting: new THREE.Color(0x8899aa)
+};
+
+// Glowing gates for the checkpoints of a time trial: two posts, a crossbar
+// and a see-through curtain in between. The gate to drive through next is
+// lit up and pulses; the finish line of the last lap glows gold.
+export class CheckpointGates {
+  constructor(scene, { terrain }) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.gates = [];
+    this.time = 0;
+    this.postGeometry = new THREE.CylinderGeometry(POST_RADIUS, POST_RADIUS, GATE_HEIGHT, 8);
+    this.postGeometry.translate(0, GATE_HEIGHT / 2, 0);
+  }
+
+  // gates as createGates makes them
+  show(gates) {
+    this.clear();
+    this.gates = gates.map((gate) => {
+      const width = gate.halfWidth * 2;
+      const group = new THREE.Group();
+      group.position.set(gate.x, this.terrain.getHeightAt(gate.x, gate.z), gate.z);
+      group.rotation.y = Math.atan2(gate.dirX, gate.dirZ);
+
+      // Lit by themselves, so they glow at night and in fog alike
+      const frameMaterial = new THREE.MeshBasicMaterial({ color: COLORS.waiting });
+      const curtainMaterial = new THREE.MeshBasicMaterial({
+        color: COLORS.waiting,
+        transparent: true,
+        opacity: 0.15,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        fog: false
+      });
+
+      for (const side of [-1, 1]) {
+        const post = new THREE.Mesh(this.postGeometry, frameMaterial);
+        post.position.x = side * gate.halfWidth;
+        group.add(post);
+      }
+      const bar = new THREE.Mesh(new THREE.BoxGeometry(width, 0.5, 0.5), frameMaterial);
+      bar.position.y = GATE_HEIGHT;
+      const curtain = new THREE.Mesh(new THREE.PlaneGeometry(width, GATE_HEIGHT), curtainMaterial);
+      curtain.position.y = GATE_HEIGHT / 2;
+      group.add(bar, curtain);
+
+      this.scene.add(group);
+      return { group, bar, curtain, frameMaterial, curtainMaterial };
+    });
+  }
+
+  // Light up gate index; finish marks it as the last one to cross
+  setNext(index, finish = false) {
+    this.gates.forEach((gate, i) => {
+      const color = i !== index ? COLORS.waiting : finish ? COLORS.finish : COLORS.next;
+      gate.frameMaterial.color.copy(color);
+      gate.curtainMaterial.color.copy(color);
+      gate.active = i === index;
+    });
+  }
+
+  // Pulse the next gate; dt in seconds
+  update(dt) {
+    this.time += dt;
+    const pulse = 0.35 + 0.15 * Math.sin(this.time * 5);
+    for (const gate of this.gates) {
+      gate.curtainMaterial.opacity = gate.active ? pulse : 0.08;
+    }
+  }
+
+  clear() {
+    for (const { group, bar, curtain, frameMaterial, curtainMaterial } of this.gates) {
+      this.scene.remove(group);
+      bar.geometry.dispose();
+      curtain.geometry.dispose();
+      frameMaterial.dispose();
+      curtainMaterial.dispose();
+    }
+    this.gates = [];
+  }
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// Simple 2D collision on the ground plane. Static obstacles are circles
+// (tree trunks) or cones (mountains, whose radius shrinks with height); the
+// car is an oriented box. Listeners receive a 'collision' event each time the
+// car runs into an obstacle or a world edge:
+//
+//   world.addEventListener('collision', ({ impact, collider, car }) => { ... });
+//
+// impact is 0..1: how much of the car's speed went into the obstacle, and car
+// is the id the car was resolved with.
+export class CollisionWorld extends THREE.EventDispatcher {
+  // bounds limit where the car can go. z is open by default because the
+  // main road is endless; x keeps the car within reach of it.
+  constructor({ bounds = { minX: -500, maxX: 500, minZ: -Infinity, maxZ: Infinity } } = {}) {
+    super();
+    this.bounds = bounds;
+    this.colliders = new Set();
+
+    // Colliders each car was already touching last update, so each contact
+    // only fires one event
+    this.contacts = new Map(); // car id -> Set of colliders
+  }
+
+  addCylinder(x, z, radius, userData = {}) {
+    const collider = { type: 'cylinder', x, z, radius, userData };
+    this.colliders.add(collider);
+    return collider;
+  }
+
+  // baseY is the height of the cone's base; the car only collides with the
+  // cross-section at its own height
+  addCone(x, z, radius, height, baseY = 0, userData = {}) {
+    const collider = { type: 'cone', x, z, radius, height, baseY, userData };
+    this.colliders.add(collider);
+    return collider;
+  }
+
+  remove(collider) {
+    this.colliders.delete(collider);
+    for (const touching of this.contacts.values()) touching.delete(collider);
+  }
+
+  clear() {
+    this.colliders.clear();
+    this.contacts.clear();
+  }
+
+  radiusAt(collider, y) {
+    if (collider.type === 'cone') {
+      return collider.radius * Math.max(0, 1 - (y - collider.baseY) / collider.height);
+    }
+    return collider.radius;
+  }
+
+  // Push an oriented box out of every obstacle it overlaps.
+  // car: { position, heading, speed, halfWidth, halfLength, id, ignore }
+  // id tells apart cars resolved in the same world and ignore lists the
+  // car's own colliders, if it has any.
+  // Returns the speed left after the hits (unchanged when nothing was hit).
+  resolve(car) {
+    const { position, heading, halfWidth, halfLength, id = 'car', ignore = [] } = car;
+    const contacts = this.contacts.get(id) ?? new Set();
+    const touching = new Set();
+    const hit = { id, contacts, touching };
+    let speed = car.speed;
+    const forwardX = Math.sin(heading);
+    const forwardZ = Math.cos(heading);
+
+    for (const collider of this.colliders) {
+      if (ignore.includes(collider)) continue;
+      const radius = this.radiusAt(collider, position.y);
+      if (radius <= 0) continue;
+
+      // Cheap reject before the box test
+      const dx = position.x - collider.x;
+      const dz = position.z - collider.z;
+      const reach = radius + halfLength + halfWidth;
+      if (dx * dx + dz * dz > reach * reach) continue;
+
+      // Obstacle centre in the car's local frame (x right-to-left, z forward)
+      const localX = -dx * forwardZ + dz * forwardX;
+      const localZ = -dx * forwardX - dz * forwardZ;
+      const closestX = THREE.MathUtils.clamp(localX, -halfWidth, halfWidth);
+      const closestZ = THREE.MathUtils.clamp(localZ, -halfLength, halfLength);
+      let offsetX = localX - closestX;
+      let offsetZ = localZ - closestZ;
+      let distance = Math.hypot(offsetX, offsetZ);
+      if (distance >= radius) continue;
+
+      // Centre inside the box: push out along the shortest axis
+      if (distance === 0) {
+        if (halfWidth - Math.abs(localX) < halfLength - Math.abs(localZ)) {
+          offsetX = Math.sign(localX) || 1;
+          offsetZ = 0;
+        } else {
+          offsetX = 0;
+          offsetZ = Math.sign(localZ) || 1;
+        }
+      } else {
+        offsetX /= distance;
+        offsetZ /= distance;
+      }
+
+      // Normal pointing from the obstacle towards the car, in world space
+      const normalX = -(offsetX * forwardZ + offsetZ * forwardX);
+      const normalZ = offsetX * forwardX - offsetZ * forwardZ;
+      const penetration = radius - distance;
+      position.x += normalX * penetration;
+      position.z += normalZ * penetration;
+
+      speed = this.applyImpact(speed, forwardX, forwardZ, normalX, normalZ, collider, hit);
+    }
+
+    // World edges act like walls facing inwards
+    const { minX, maxX, minZ, maxZ } = this.bounds;
+    const extent = Math.max(halfWidth, halfLength);
+    const walls = [
+      { over: minX + extent - position.x, normalX: 1, normalZ: 0, name: 'minX' },
+      { over: position.x - (maxX - extent), normalX: -1, normalZ: 0, name: 'maxX' },
+      { over: minZ + extent - position.z, normalX: 0, normalZ: 1, name: 'minZ' },
+      { over: position.z - (maxZ - extent), normalX: 0, normalZ: -1, name: 'maxZ' }
+    ];
+    for (const wall of walls) {
+      if (wall.over > 0) {
+        position.x += wall.normalX * wall.over;
+        position.z += wall.normalZ * wall.over;
+        const collider = { type: 'bounds', side: wall.name };
+        speed = this.applyImpact(speed, forwardX, forwardZ, wall.normalX, wall.normalZ, collider, hit, wall.name);
+      }
+    }
+
+    this.contacts.set(id, touching);
+    return speed;
+  }
+
+  // Scale speed down by how squarely the car hit, and announce new contacts.
+  // hit is { id, contacts, touching }: the car, and what it touched last
+  // update and so far in this one.
+  applyImpact(speed, forwardX, forwardZ, normalX, normalZ, collider, { id, contacts, touching }, key = collider) {
+    // Share of the car's motion that points into the obstacle
+    const into = -(forwardX * normalX + forwardZ * normalZ) * Math.sign(speed);
+    if (into <= 0) {
+      touching.add(key);
+      return speed;
+    }
+
+    if (!contacts.has(key)) {
+      this.dispatchEvent({
+        type: 'collision',
+        collider,
+        car: id,
+        impact: into,
+        impactSpeed: Math.abs(speed) * into,
+        normal: { x: normalX, z: normalZ }
+      });
+    }
+    touching.add(key);
+    return speed * (1 - into);
+  }
+}
+
+// Radius of the two circles (front and back) that stand in for a car in the
+// collision world, so other cars can run into it, and how far they sit from
+// its centre
+const CAR_COLLIDER_RADIUS = 1.1;
+const CAR_COLLIDER_OFFSET = 1.1;
+
+// Add the two circles of one car; userData tells whose car they are. Place
+// them with placeCarColliders before the next resolve.
+export function addCarColliders(world, userData) {
+  return [1, -1].map(() => world.addCylinder(0, 0, CAR_COLLIDER_RADIUS, { ...userData }));
+}
+
+// Move a car's circles to where the car is
+export function placeCarColliders(colliders, x, z, heading) {
+  const forwardX = Math.sin(heading);
+  const forwardZ = Math.cos(heading);
+  colliders.forEach((collider, i) => {
+    const offset = (i === 0 ? 1 : -1) * CAR_COLLIDER_OFFSET;
+    collider.x = x + forwardX * offset;
+    collider.z = z + forwardZ * offset;
+  });
+}
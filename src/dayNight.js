@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// Sky colours through the day, keyed by hour
+const SKY_KEYS = [
+  { hour: 0, color: new THREE.Color(0x050a1a) },
+  { hour: 5, color: new THREE.Color(0x0b1430) },
+  { hour: 6.5, color: new THREE.Color(0xf2a36b) },
+  { hour: 8, color: new THREE.Color(0x87CEEB) },
+  { hour: 17, color: new THREE.Color(0x87CEEB) },
+  { hour: 18.5, color: new THREE.Color(0xe8784a) },
+  { hour: 20, color: new THREE.Color(0x0b1430) },
+  { hour: 24, color: new THREE.Color(0x050a1a) }
+];
+
+function skyColorAt(hour, target) {
+  for (let i = 1; i < SKY_KEYS.length; i++) {
+    const from = SKY_KEYS[i - 1];
+    const to = SKY_KEYS[i];
+    if (hour <= to.hour) {
+      return target.copy(from.color).lerp(to.color, (hour - from.hour) / (to.hour - from.hour));
+    }
+  }
+  return target.copy(SKY_KEYS[0].color);
+}
+
+// Any hour (negative, or past midnight) as 0..24
+function wrapHour(hour) {
+  return ((hour % 24) + 24) % 24;
+}
+
+// Sun height for an hour: 1 at noon, 0 at 6:00 and 18:00, negative at night
+export function sunElevation(hour) {
+  return Math.sin(((hour - 6) / 12) * Math.PI);
+}
+
+function createStars(count, radius) {
+  const random = createRandom(7);
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    // Random directions on the upper half of a sphere
+    const theta = random() * Math.PI * 2;
+    const y = random();
+    const r = Math.sqrt(1 - y * y);
+    positions.set([Math.cos(theta) * r * radius, y * radius, Math.sin(theta) * r * radius], i * 3);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  const material = new THREE.PointsMaterial({
+    color: 0xffffff,
+    size: 2,
+    sizeAttenuation: false,
+    transparent: true,
+    opacity: 0,
+    fog: false,
+    depthWrite: false
+  });
+  return new THREE.Points(geometry, material);
+}
+
+// Moves the sun across the sky, blends the sky colour and ambient light, and
+// fades in stars at night. hoursPerMinute is how many in-game hours pass per
+// real minute (1 means a full day takes 24 minutes).
+export class DayNightCycle {
+  constructor(scene, { sunLight, ambientLight, startHour = 10, hoursPerMinute = 1, sunDistance = 150 }) {
+    this.scene = scene;
+    this.sunLight = sunLight;
+    this.ambientLight = ambientLight;
+    this.hour = wrapHour(startHour);
+    this.hoursPerMinute = hoursPerMinute;
+    this.sunDistance = sunDistance;
+
+    this.skyColor = new THREE.Color();
+    scene.background = this.skyColor;
+
+    this.stars = createStars(1500, 900);
+    this.stars.renderOrder = -1;
+    scene.add(this.stars);
+  }
+
+  // Dusk to dawn, when cars should have their lights on
+  get isDark() {
+    return sunElevation(this.hour) < 0.15;
+  }
+
+  // dt is real time in seconds; focus is the point the sun's shadows centre on
+  update(dt, focus) {
+    this.hour = wrapHour(this.hour + (dt / 60) * this.hoursPerMinute);
+    const elevation = sunElevation(this.hour);
+    const daylight = THREE.MathUtils.smoothstep(elevation, -0.1, 0.3);
+
+    // The sun travels east to west; shadows follow the car around
+    const angle = ((this.hour - 6) / 12) * Math.PI;
+    this.sunLight.position.set(
+      focus.x + Math.cos(angle) * this.sunDistance,
+      focus.y + Math.max(Math.sin(angle), 0.05) * this.sunDistance,
+      focus.z + this.sunDistance * 0.3
+    );
+    this.sunLight.target.position.copy(focus);
+    this.sunLight.target.updateMatrixWorld();
+    this.sunLight.intensity = 0.8 * daylight;
+    this.sunLight.color.setHSL(0.1, 0.6, 0.5 + 0.5 * THREE.MathUtils.smoothstep(elevation, 0, 0.5));
+
+    // Dim, slightly blue light at night so the world doesn't go black
+    this.ambientLight.intensity = THREE.MathUtils.lerp(0.12, 0.6, daylight);
+    this.ambientLight.color.setRGB(
+      THREE.MathUtils.lerp(0.6, 1, daylight),
+      THREE.MathUtils.lerp(0.7, 1, daylight),
+      1
+    );
+
+    skyColorAt(this.hour, this.skyColor);
+    if (this.scene.fog) this.scene.fog.color.copy(this.skyColor);
+
+    this.stars.position.set(focus.x, 0, focus.z);
+    this.stars.material.opacity = 1 - THREE.MathUtils.smoothstep(elevation, -0.2, 0.1);
+  }
+}
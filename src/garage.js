@@ -0,0 +1,78 @@
+import { DEFAULT_VEHICLE_PARAMS } from './vehiclePhysics.js';
+
+// Handling stats shown on each card, relative to the default car
+const STATS = [
+  { label: 'Power', value: (h) => h.engineForce / h.mass },
+  { label: 'Steering', value: (h) => h.maxSteerAngle },
+  { label: 'Grip', value: (h) => h.tireGrip },
+  { label: 'Brakes', value: (h) => h.brakeForce / h.mass }
+];
+
+function createCard(entry) {
+  const handling = { ...DEFAULT_VEHICLE_PARAMS, ...entry.handling };
+  const card = document.createElement('button');
+  card.className = 'garage-car';
+
+  const name = document.createElement('h3');
+  name.textContent = entry.name;
+  name.style.color = entry.color ?? '';
+  card.appendChild(name);
+
+  const description = document.createElement('p');
+  description.textContent = entry.description ?? '';
+  card.appendChild(description);
+
+  for (const stat of STATS) {
+    const ratio = stat.value(handling) / stat.value(DEFAULT_VEHICLE_PARAMS);
+    const row = document.createElement('div');
+    row.className = 'garage-stat';
+    row.innerHTML = `<span>${stat.label}</span><meter min="0" max="2" value="${ratio.toFixed(2)}"></meter>`;
+    card.appendChild(row);
+  }
+
+  return card;
+}
+
+// Card that picks up the autosaved drive where it left off
+function createContinueCard(snapshot, entry) {
+  const card = document.createElement('button');
+  card.className = 'garage-car';
+
+  const name = document.createElement('h3');
+  name.textContent = 'Continue';
+  card.appendChild(name);
+
+  const description = document.createElement('p');
+  description.textContent = `Last drive in the ${entry.name ?? entry.id}, seed ${snapshot.seed}`;
+  card.appendChild(description);
+  return card;
+}
+
+// Show the garage screen and resolve with { entry, snapshot }: the manifest
+// entry the player picks, and savedDrive if they chose to continue it
+export function showGarage(element, cars, { savedDrive = null } = {}) {
+  const list = element.querySelector('.garage-list');
+  list.replaceChildren();
+  element.hidden = false;
+
+  return new Promise((resolve) => {
+    const choose = (entry, snapshot = null) => {
+      element.hidden = true;
+      resolve({ entry, snapshot });
+    };
+
+    const savedEntry = savedDrive && cars.find((entry) => entry.id === savedDrive.carId);
+    if (savedEntry) {
+      const card = createContinueCard(savedDrive, savedEntry);
+      card.addEventListener('click', () => choose(savedEntry, savedDrive));
+      list.appendChild(card);
+    }
+
+    for (const entry of cars) {
+      const card = createCard(entry);
+      card.addEventListener('click', () => choose(entry));
+      list.appendChild(card);
+    }
+    list.querySelector('button')?.focus();
+  });
+}
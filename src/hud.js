@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+// One world unit is one metre; the physics works in m/s throughout
+export const METERS_PER_WORLD_UNIT = 1;
+
+export const SPEED_UNITS = {
+  kmh: { label: 'km/h', perMeterPerSecond: 3.6, distanceLabel: 'km', metersPerDistance: 1000 },
+  mph: { label: 'mph', perMeterPerSecond: 2.236936, distanceLabel: 'mi', metersPerDistance: 1609.344 }
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Compass bearing in degrees for a heading, with north along +z
+export function bearingFromHeading(heading) {
+  const degrees = THREE.MathUtils.radToDeg(-heading) % 360;
+  return degrees < 0 ? degrees + 360 : degrees;
+}
+
+export function formatDuration(seconds) {
+  const whole = Math.floor(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = String(Math.floor((whole % 3600) / 60)).padStart(2, '0');
+  const secs = String(whole % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Speed, gear, trip and compass readout plus a top-down minimap rendered
+// into a corner of the main canvas. The overlay ignores the pointer, so it
+// never gets in the way of input.
+export class Hud {
+  constructor(element, { scene, units = 'kmh', minimapSize = 180, minimapRange = 90 } = {}) {
+    this.element = element;
+    this.scene = scene;
+    this.units = units;
+    this.minimapSize = minimapSize;
+    this.visible = true;
+
+    // Trip meters, advanced with the simulation
+    this.tripMeters = 0;
+    this.driveSeconds = 0;
+
+    this.fields = {};
+    for (const name of ['speed', 'unit', 'gear', 'trip', 'time', 'heading']) {
+      this.fields[name] = element.querySelector(`[data-hud="${name}"]`);
+    }
+
+    // Minimap: an orthographic camera above the car, north up
+    this.minimapCamera = new THREE.OrthographicCamera(-minimapRange, minimapRange, minimapRange, -minimapRange, 1, 500);
+    this.minimapCamera.up.set(0, 0, 1);
+    this.minimapCamera.layers.enable(1);
+
+    // Arrow marking the car, only visible to the minimap camera (layer 1)
+    const markerShape = new THREE.Shape();
+    markerShape.moveTo(0, 4);
+    markerShape.lineTo(3, -3);
+    markerShape.lineTo(0, -1.5);
+    markerShape.lineTo(-3, -3);
+    const markerGeometry = new THREE.ShapeGeometry(markerShape);
+    markerGeometry.rotateX(Math.PI / 2);
+    this.marker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({ color: 0xffdd00, side: THREE.DoubleSide, fog: false }));
+    this.marker.layers.set(1);
+    scene.add(this.marker);
+  }
+
+  setUnits(units) {
+    if (SPEED_UNITS[units]) this.units = units;
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.element.hidden = !visible;
+  }
+
+  toggle() {
+    this.setVisible(!this.visible);
+  }
+
+  // Called every simulation step with the step length in seconds
+  track(vehicle, dt) {
+    this.tripMeters += Math.abs(vehicle.speed) * dt * METERS_PER_WORLD_UNIT;
+    this.driveSeconds += dt;
+  }
+
+  update(vehicle, car) {
+    this.marker.position.set(car.position.x, car.position.y + 50, car.position.z);
+    this.marker.rotation.y = car.rotation.y;
+    if (!this.visible) return;
+
+    const unit = SPEED_UNITS[this.units];
+    const bearing = bearingFromHeading(vehicle.heading);
+    this.fields.speed.textContent = Math.round(Math.abs(vehicle.speed) * unit.perMeterPerSecond);
+    this.fields.unit.textContent = unit.label;
+    this.fields.gear.textContent = vehicle.gear < 0 ? 'R' : vehicle.gear;
+    this.fields.trip.textContent = `${(this.tripMeters / unit.metersPerDistance).toFixed(2)} ${unit.distanceLabel}`;
+    this.fields.time.textContent = formatDuration(this.driveSeconds);
+    this.fields.heading.textContent = `${COMPASS_POINTS[Math.round(bearing / 45) % 8]} ${Math.round(bearing)}°`;
+  }
+
+  // Draw the minimap over the top-right corner after the main view. The
+  // scene is drawn as it is, fog included; see WeatherSystem.withoutFog.
+  renderMinimap(renderer, car) {
+    if (!this.visible) return;
+
+    this.minimapCamera.position.set(car.position.x, car.position.y + 200, car.position.z);
+    this.minimapCamera.lookAt(car.position.x, car.position.y, car.position.z);
+
+    const size = this.minimapSize;
+    const { width, height } = renderer.getSize(new THREE.Vector2());
+    const x = width - size - 20;
+    const y = height - size - 20;
+
+    renderer.setScissorTest(true);
+    renderer.setViewport(x, y, size, size);
+    renderer.setScissor(x, y, size, size);
+    renderer.render(this.scene, this.minimapCamera);
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+  }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'chill-drive.bindings';
+
+// Keyboard bindings use KeyboardEvent.code, which names the physical key, so
+// Caps Lock, Shift and non-QWERTY layouts don't change what a key does.
+// Analog actions feed throttle/brake/steer; the rest fire 'action' events.
+// Player 2's keys only count in split screen, where they stop driving player 1.
+export const DEFAULT_BINDINGS = {
+  throttle: ['KeyW', 'ArrowUp'],
+  brake: ['KeyS', 'ArrowDown'],
+  steerLeft: ['KeyA', 'ArrowLeft'],
+  steerRight: ['KeyD', 'ArrowRight'],
+  p2Throttle: ['ArrowUp'],
+  p2Brake: ['ArrowDown'],
+  p2SteerLeft: ['ArrowLeft'],
+  p2SteerRight: ['ArrowRight'],
+  pause: ['KeyP'],
+  slowMotion: ['KeyT'],
+  camera: ['KeyC'],
+  weather: ['KeyR'],
+  hud: ['KeyH'],
+  stats: ['KeyI'],
+  replay: ['KeyV'],
+  photo: ['KeyF'],
+  menu: ['Escape']
+};
+
+// Analog actions of each player in split screen
+const PLAYER_ACTIONS = [
+  { throttle: 'throttle', brake: 'brake', steerLeft: 'steerLeft', steerRight: 'steerRight' },
+  { throttle: 'p2Throttle', brake: 'p2Brake', steerLeft: 'p2SteerLeft', steerRight: 'p2SteerRight' }
+];
+const ANALOG_ACTIONS = PLAYER_ACTIONS.flatMap((actions) => Object.values(actions));
+
+export const MAX_PLAYERS = PLAYER_ACTIONS.length;
+
+// Standard gamepad mapping: left stick steers, triggers drive, buttons act
+const GAMEPAD = {
+  steerAxis: 0,
+  brakeButton: 6,
+  throttleButton: 7,
+  deadzone: 0.15,
+  actions: { 9: 'pause', 8: 'menu', 3: 'slowMotion', 5: 'camera', 4: 'weather' }
+};
+
+export function loadBindings(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    if (!saved || typeof saved !== 'object') return structuredClone(DEFAULT_BINDINGS);
+
+    // Keep only known actions with lists of key codes, defaults for the rest
+    const bindings = structuredClone(DEFAULT_BINDINGS);
+    for (const action of Object.keys(bindings)) {
+      const codes = saved[action];
+      if (Array.isArray(codes) && codes.every((code) => typeof code === 'string')) {
+        bindings[action] = codes;
+      }
+    }
+    return bindings;
+  } catch {
+    return structuredClone(DEFAULT_BINDINGS);
+  }
+}
+
+export function saveBindings(bindings, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(bindings));
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+function applyDeadzone(value, deadzone) {
+  if (Math.abs(value) < deadzone) return 0;
+  return Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+}
+
+// Merges keyboard, gamepad and on-screen touch controls into continuous
+// { throttle, brake, steer } values (0..1, 0..1, -1..1 with positive = left).
+// Discrete actions are announced as { type: 'action', action } events, from
+// the keyboard or any gamepad.
+export class InputManager extends THREE.EventDispatcher {
+  constructor({ target = document, touchElement = null, storage = globalThis.localStorage } = {}) {
+    super();
+    this.storage = storage;
+    this.bindings = loadBindings(storage);
+    this.pressed = new Set();
+    this.touch = { throttle: 0, brake: 0, steerLeft: 0, steerRight: 0 };
+    this.gamepads = []; // Driving input of each connected gamepad, in order
+    this.gamepadButtons = new Map(); // 'pad:button' -> pressed
+
+    target.addEventListener('keydown', (event) => this.onKeyDown(event));
+    target.addEventListener('keyup', (event) => this.pressed.delete(event.code));
+    // Releasing keys while the window is unfocused never reaches keyup
+    window.addEventListener('blur', () => this.pressed.clear());
+
+    if (touchElement) this.setupTouch(touchElement);
+  }
+
+  onKeyDown(event) {
+    if (event.repeat) return;
+    this.pressed.add(event.code);
+    const action = this.actionForCode(event.code);
+    if (action && !ANALOG_ACTIONS.includes(action)) {
+      this.dispatchEvent({ type: 'action', action });
+    }
+  }
+
+  actionForCode(code) {
+    return Object.keys(this.bindings).find((action) => this.bindings[action].includes(code));
+  }
+
+  isHeld(action, except = []) {
+    return this.bindings[action].some((code) => this.pressed.has(code) && !except.includes(code));
+  }
+
+  // Touch buttons carry their action in data-action
+  setupTouch(element) {
+    for (const button of element.querySelectorAll('[data-action]')) {
+      const action = button.dataset.action;
+      const set = (value) => (event) => {
+        event.preventDefault();
+        this.touch[action] = value;
+      };
+      button.addEventListener('pointerdown', set(1));
+      button.addEventListener('pointerup', set(0));
+      button.addEventListener('pointercancel', set(0));
+      button.addEventListener('pointerleave', set(0));
+    }
+  }
+
+  // Poll the connected gamepads. Call once per frame, paused or not, so
+  // gamepad actions (like unpausing) keep working.
+  update() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const connected = Array.from(pads).filter((candidate) => candidate && candidate.connected);
+
+    this.gamepads = connected.map((pad) => {
+      // Fire actions on button press edges
+      for (const [index, action] of Object.entries(GAMEPAD.actions)) {
+        const key = `${pad.index}:${index}`;
+        const pressed = pad.buttons[index]?.pressed ?? false;
+        if (pressed && !this.gamepadButtons.get(key)) {
+          this.dispatchEvent({ type: 'action', action });
+        }
+        this.gamepadButtons.set(key, pressed);
+      }
+
+      return {
+        throttle: pad.buttons[GAMEPAD.throttleButton]?.value ?? 0,
+        brake: pad.buttons[GAMEPAD.brakeButton]?.value ?? 0,
+        steer: -applyDeadzone(pad.axes[GAMEPAD.steerAxis] ?? 0, GAMEPAD.deadzone)
+      };
+    });
+  }
+
+  // Current driving input of a player. A single player gets every source
+  // combined. In split screen each player has their own keys and the gamepad
+  // at their index; touch controls stay with player 1.
+  getState(player = 0, playerCount = 1) {
+    const split = playerCount > 1;
+    const actions = PLAYER_ACTIONS[player];
+    // Player 1's defaults include player 2's keys, so keys claimed by a
+    // later player belong to them
+    const claimed = split
+      ? PLAYER_ACTIONS.filter((_, index) => index > player && index < playerCount)
+        .flatMap((other) => Object.values(other).flatMap((action) => this.bindings[action]))
+      : [];
+    const key = (name) => (this.isHeld(actions[name], claimed) ? 1 : 0);
+    const pad = this.gamepads[player] ?? { throttle: 0, brake: 0, steer: 0 };
+    const touch = player === 0 ? this.touch : { throttle: 0, brake: 0, steerLeft: 0, steerRight: 0 };
+
+    return {
+      throttle: Math.max(key('throttle'), touch.throttle, pad.throttle),
+      brake: Math.max(key('brake'), touch.brake, pad.brake),
+      steer: clamp(
+        key('steerLeft') - key('steerRight') + touch.steerLeft - touch.steerRight + pad.steer,
+        -1,
+        1
+      )
+    };
+  }
+
+  // Rebind an action and remember it for next time
+  setBinding(action, codes) {
+    this.bindings[action] = codes;
+    saveBindings(this.bindings, this.storage);
+  }
+
+  resetBindings() {
+    this.bindings = structuredClone(DEFAULT_BINDINGS);
+    saveBindings(this.bindings, this.storage);
+  }
+}
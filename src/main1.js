@@ -1,445 +1,996 @@
 import * as THREE from 'three';
+import { RoadStreamer } from './roadStreamer.js';
+import { RoadNetwork, MAIN_ROAD_SPACING, createMainRoad } from './roadNetwork.js';
+import { Terrain } from './terrain.js';
+import { getSeedFromQuery } from './random.js';
+import { generateScenery } from './scenery.js';
+import { Vegetation } from './vegetation.js';
+import { CollisionWorld } from './collision.js';
+import { addMountainCollider, createMountainGeometry } from './mountains.js';
+import { SimulationLoop } from './simulationLoop.js';
+import { createCar, createGhostCar, createHeadlights, setLightsOn } from './carModel.js';
+import { loadCar, loadCarManifest } from './carLoader.js';
+import { showGarage } from './garage.js';
+import { AudioEngine, loadSounds } from './audioEngine.js';
+import { InputManager } from './input.js';
+import { Player } from './player.js';
+import { followGround } from './carStep.js';
+import { DayNightCycle } from './dayNight.js';
+import { WeatherSystem } from './weather.js';
+import { Hud } from './hud.js';
+import { SettingsStore } from './settings.js';
+import { PauseMenu } from './pauseMenu.js';
+import { QUALITY_PRESETS, AdaptiveQuality, StatsOverlay } from './quality.js';
+import {
+  createSnapshot, encodeSnapshot, getSnapshotFromQuery, loadSnapshot, parseSnapshot, saveSnapshot
+} from './snapshot.js';
+import { ReplayPlayer, ReplayRecorder, decodeReplay, encodeReplay, quantizeInput } from './replay.js';
+import { ReplayPanel } from './replayPanel.js';
+import { DEFAULT_TRAFFIC_SETTINGS, TrafficSimulation } from './traffic.js';
+import { TrafficCars } from './trafficCars.js';
+import { NetworkClient } from './network.js';
+import { RemoteCars } from './remoteCars.js';
+import {
+  bestTimesKey, createGates, createTrial, findCrossing, loadBestTimes, loadRouteManifest, mergeBestTimes, passGate,
+  saveBestTimes, startPose
+} from './timeTrial.js';
+import { CheckpointGates } from './checkpointGates.js';
+import { TrialPanel } from './trialPanel.js';
+import { PhotoMode } from './photoMode.js';
+import { PhotoPanel } from './photoPanel.js';
+
+// Colour of each player's built-in car. Player 1 normally drives the car
+// picked in the garage.
+const PLAYER_COLORS = [0xff0000, 0x2266ff];
+
+// Save a blob as a file. The URL is revoked a little later: some browsers
+// only start the download after click() has returned.
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
 
 // Main class for the driving simulation
 class DrivingSimulation {
-  constructor() {
+  // car is the model picked in the garage, carId its manifest id and handling
+  // its stats. snapshot, if given, restores a saved or shared drive. seed
+  // overrides the world's seed; network is a connected NetworkClient when
+  // driving together. routeId starts that time trial once routes are loaded.
+  constructor({
+    car = createCar(), carId = 'classic', handling = {}, snapshot = null, seed = null, network = null, routeId = null
+  } = {}) {
+    this.carId = carId;
+    this.snapshot = snapshot;
+    // Where the car starts; the world is first built around this spot
+    this.start = snapshot?.car ?? { x: 0, z: 0, heading: 0, speed: 0 };
+
     // Scene setup
     this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
-    
-    // Camera setup
-    this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    this.camera.position.set(0, 5, -10);
-    this.camera.lookAt(0, 0, 0);
 
-    this.engine = new Audio('/sounds/v12-motor-engine.mp3');
-    this.brake = new Audio('/sounds/handbrake.mp3');
-    this.wind = new Audio('/sounds/wind.mp3');
+    // Player settings, saved in localStorage and applied as they change
+    this.settings = new SettingsStore();
+
+    // Audio starts once the sound files are decoded
+    this.audioContext = new AudioContext();
+    this.audio = null;
+    loadSounds(this.audioContext)
+      .then((buffers) => {
+        this.audio = new AudioEngine(this.audioContext, buffers);
+        this.applySetting('masterVolume');
+      })
+      .catch((error) => console.warn('Sounds failed to load:', error));
 
     // Renderer setup
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.shadowMap.enabled = true;
+    // Stats count every render call in a frame, so info is reset by hand
+    this.renderer.info.autoReset = false;
     document.body.appendChild(this.renderer.domElement);
+    this.stats = new StatsOverlay(document.getElementById('stats'));
+    this.clock = new THREE.Clock();
     
+    // Seed for all procedural world generation, shareable via ?seed=
+    this.seed = seed ?? snapshot?.seed ?? getSeedFromQuery(window.location.search);
+    this.network = network;
+    this.showSeed();
+
     // Lights
     this.addLights();
     
     // Add world elements
-    // this.createRoad();
+    this.createRoad();
     this.createEnvironment();
-    
-    // Create car
-    this.car = this.createCar();
-    this.scene.add(this.car);
 
-    this.road = null;
-    this.roadMarkings = null;
-    this.createRoad();
-    
-    // Car physics properties
-    this.carSpeed = 0;
-    this.maxSpeed = 0.5;
-    this.acceleration = 0.01;
-    this.deceleration = 0.005;
-    this.turnSpeed = 0.03;
+    // Weather, picked with ?weather= and cycled with R
+    this.weather = new WeatherSystem(this.scene, {
+      type: snapshot?.weather ?? new URLSearchParams(window.location.search).get('weather') ?? 'clear',
+      roadMaterial: this.roadNetwork.roadMaterial,
+      groundMaterial: this.terrain.material
+    });
     
-    // Input controls
-    this.keys = {
-      forward: false,
-      backward: false,
-      left: false,
-      right: false
-    };
+    // Player 1 drives the car from the garage; split screen adds a second
+    // player with their own car, keys and camera
+    this.players = [this.createPlayer(0, { car, handling, start: this.start })];
+
+    // Headlights for the other players, made up front and parked while
+    // nobody uses them, so split screen doesn't change the number of lights
+    this.lightParking = new THREE.Group();
+    this.scene.add(this.lightParking);
+    this.spareHeadlights = PLAYER_COLORS.slice(1).map(() => {
+      const headlights = createHeadlights();
+      headlights.forEach((light) => this.lightParking.add(light, light.target));
+      return headlights;
+    });
+
+    // AI cars in both lanes of the main road, spawned around the player
+    // Cars only ever drive on streamed road: behind a player, that's the
+    // streamer's segments behind
+    const { segmentsBehind, segmentLength } = this.roadStreamer;
+    this.traffic = new TrafficSimulation({
+      road: this.mainRoad,
+      seed: this.seed,
+      density: this.settings.get('trafficDensity'),
+      settings: { ...DEFAULT_TRAFFIC_SETTINGS, roadBehind: segmentsBehind * segmentLength }
+    });
+    this.trafficCars = new TrafficCars(this.scene, {
+      terrain: this.terrain,
+      collisionWorld: this.collisionWorld
+    });
+
+    // The other drivers' cars when driving together
+    if (network) {
+      this.remoteCars = new RemoteCars(this.scene, {
+        terrain: this.terrain,
+        collisionWorld: this.collisionWorld
+      });
+      for (const type of ['join', 'leave', 'disconnect']) {
+        network.addEventListener(type, () => this.showSeed());
+      }
+    }
+
+    // Speed, trip and compass readout with a minimap, toggled with H
+    this.hud = new Hud(document.getElementById('hud'), {
+      scene: this.scene,
+      units: this.settings.get('units')
+    });
     
+    // Time trials: gates along a route from public/routes, driven by player 1
+    this.checkpointGates = new CheckpointGates(this.scene, { terrain: this.terrain });
+    this.trialPanel = new TrialPanel(document.getElementById('trial'), document.getElementById('results'));
+    this.timeTrial = null;
+    this.routes = [];
+
     // Set up user controls
     this.setupControls();
+
+    for (const key of Object.keys(this.settings.values)) {
+      this.applySetting(key);
+    }
+    this.settings.addEventListener('change', ({ key }) => this.applySetting(key));
     
+    // Autosave the drive every few seconds and when the page goes away
+    this.autosaveTime = 0;
+    window.addEventListener('pagehide', () => this.autosave());
+
     // Handle window resize
     window.addEventListener('resize', () => this.onWindowResize());
     
-    // Start animation loop
-    this.animate();
+    // Start the fixed-timestep simulation loop
+    this.loop = new SimulationLoop({
+      step: (dt) => this.updateCarPosition(dt),
+      render: (alpha) => this.render(alpha)
+    });
+    this.loop.start();
+
+    // Every drive is recorded, so it can be watched back (V) or raced as a ghost
+    this.watching = null;
+    this.replayPose = { ...this.player.pose };
+    this.ghost = null;
+    this.startRecording();
+
+    this.loadRoutes(routeId);
   }
   
+  // Player 1 gets the HUD, the engine sound, replays and saved drives
+  get player() {
+    return this.players[0];
+  }
+
+  createPlayer(index, { car, handling = {}, headlights, start }) {
+    const player = new Player(this.scene, {
+      index,
+      car,
+      handling,
+      headlights,
+      start,
+      terrain: this.terrain,
+      collisionWorld: this.collisionWorld,
+      domElement: this.renderer.domElement
+    });
+    if (this.qualityLevel) {
+      player.camera.far = QUALITY_PRESETS[this.qualityLevel].drawDistance;
+      player.camera.updateProjectionMatrix();
+    }
+    return player;
+  }
+
+  // Add or remove players until there are count of them. New players start
+  // beside player 1, in the lane to its right.
+  setPlayerCount(count) {
+    while (this.players.length > count) {
+      const player = this.players.pop();
+      player.dispose(this.lightParking);
+      this.spareHeadlights.push(player.headlights);
+    }
+    while (this.players.length < count) {
+      const index = this.players.length;
+      const { x, z, heading } = this.player.vehicle;
+      const side = 4 * index;
+      const start = { x: x - Math.cos(heading) * side, z: z + Math.sin(heading) * side, heading, speed: 0 };
+      const car = createCar({ color: PLAYER_COLORS[index] });
+      this.players.push(this.createPlayer(index, { car, headlights: this.spareHeadlights.pop(), start }));
+    }
+    document.body.classList.toggle('split-screen', count > 1);
+    this.layoutViews();
+  }
+
+  // The window is shared out in horizontal strips, player 1 at the top
+  layoutViews() {
+    const width = window.innerWidth;
+    const height = window.innerHeight / this.players.length;
+    this.players.forEach((player, index) => {
+      player.setViewport(0, window.innerHeight - (index + 1) * height, width, height);
+    });
+  }
+
+  showSeed() {
+    let text = `Seed: ${this.seed}`;
+    if (this.network) {
+      text += this.network.connected ? ` · ${this.network.remotes.size + 1} driving` : ' · offline';
+    }
+    document.getElementById('seed').textContent = text;
+  }
+
   addLights() {
     // Ambient light
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    this.scene.add(ambientLight);
-    
-    // Directional light (sun)
-    const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    dirLight.position.set(100, 100, 50);
-    dirLight.castShadow = true;
-    dirLight.shadow.mapSize.width = 1024;
-    dirLight.shadow.mapSize.height = 1024;
-    this.scene.add(dirLight);
+    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    this.scene.add(this.ambientLight);
+    
+    // Directional light (sun), its shadows cover the area around the car
+    this.sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    this.sunLight.position.set(100, 100, 50);
+    this.sunLight.castShadow = true;
+    this.sunLight.shadow.mapSize.width = 1024;
+    this.sunLight.shadow.mapSize.height = 1024;
+    const shadowCamera = this.sunLight.shadow.camera;
+    shadowCamera.left = shadowCamera.bottom = -60;
+    shadowCamera.right = shadowCamera.top = 60;
+    shadowCamera.far = 400;
+    this.scene.add(this.sunLight, this.sunLight.target);
+
+    // Time of day, configurable with ?hour= and ?timeSpeed= (hours per real minute)
+    const params = new URLSearchParams(window.location.search);
+    const numberParam = (name, fallback) => {
+      const value = Number(params.get(name));
+      return params.has(name) && Number.isFinite(value) ? value : fallback;
+    };
+    this.dayNight = new DayNightCycle(this.scene, {
+      sunLight: this.sunLight,
+      ambientLight: this.ambientLight,
+      startHour: this.snapshot?.hour ?? numberParam('hour', 10),
+      hoursPerMinute: numberParam('timeSpeed', 1)
+    });
   }
   
-  // createRoad() {
-  //   // Create a simple road
-  //   const roadGeometry = new THREE.PlaneGeometry(20, 500);
-  //   const roadMaterial = new THREE.MeshStandardMaterial({ 
-  //     color: 0x333333,
-  //     roughness: 0.8
-  //   });
-  //   const road = new THREE.Mesh(roadGeometry, roadMaterial);
-  //   road.rotation.x = -Math.PI / 2;
-  //   road.receiveShadow = true;
-  //   this.scene.add(road);
-    
-  //   // Add road markings
-  //   const markingsGeometry = new THREE.PlaneGeometry(0.5, 500);
-  //   const markingsMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-  //   const markings = new THREE.Mesh(markingsGeometry, markingsMaterial);
-  //   markings.rotation.x = -Math.PI / 2;
-  //   markings.position.y = 0.01; // Slightly above road
-  //   this.scene.add(markings);
-  // }
-
   createRoad() {
-    // Remove any existing road elements
-    if (this.road) this.scene.remove(this.road);
-    if (this.roadMarkings) this.scene.remove(this.roadMarkings);
-  
-    // Create road
-    const roadGeometry = new THREE.PlaneGeometry(20, 500);
-    const roadMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x333333,
-      roughness: 0.8
+    this.mainRoad = createMainRoad(this.seed, { width: 20 });
+    this.roadNetwork = new RoadNetwork(this.scene, { mainRoad: this.mainRoad });
+
+    // The main road is streamed around the car in curved pieces
+    this.roadStreamer = new RoadStreamer({
+      segmentLength: 100,
+      segmentsAhead: 5,
+      segmentsBehind: 2,
+      createSegment: (index, length) => this.createRoadSegment(index, length),
+      removeSegment: (road) => this.roadNetwork.removeRoad(road)
     });
-    this.road = new THREE.Mesh(roadGeometry, roadMaterial);
-    this.road.rotation.x = -Math.PI / 2;
-    this.road.receiveShadow = true;
-    
-    // Add road markings
-    const markingsGeometry = new THREE.PlaneGeometry(0.5, 500);
-    const markingsMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-    this.roadMarkings = new THREE.Mesh(markingsGeometry, markingsMaterial);
-    this.roadMarkings.rotation.x = -Math.PI / 2;
-    this.roadMarkings.position.y = 0.01; // Slightly above road
-    
-    // Add to scene
-    this.scene.add(this.road);
-    this.scene.add(this.roadMarkings);
+    this.roadStreamer.update(this.start.z);
+
+    // A side loop that leaves the main road and rejoins it further on
+    const mainRoadAt = (z, offset = 0) => new THREE.Vector3(this.mainRoad.centerXAt(z) + offset, 0, z);
+    this.roadNetwork.addRoad([
+      mainRoadAt(60),
+      mainRoadAt(90, 40),
+      mainRoadAt(170, 90),
+      mainRoadAt(260, 70),
+      mainRoadAt(320)
+    ], { width: 14 });
   }
 
-  // Add a method to update road position
-  // updateRoadPosition() {
-  //   const roadSegmentLength = 500;
-    
-  //   // Adjust road position based on car's movement
-  //   this.road.position.z = Math.floor(this.car.position.z / roadSegmentLength) * roadSegmentLength;
-  //   this.roadMarkings.position.z = this.road.position.z;
-  // }
+  createRoadSegment(index, length) {
+    // One extra control point on each side keeps the seams between pieces smooth
+    const perSegment = length / MAIN_ROAD_SPACING;
+    const first = index * perSegment - 1;
+    const points = [];
+    for (let k = first; k <= first + perSegment + 2; k++) {
+      points.push(this.mainRoad.controlPoint(k));
+    }
+    const intervals = points.length - 1;
+    return this.roadNetwork.addRoad(points, {
+      width: this.mainRoad.width,
+      tStart: 1 / intervals,
+      tEnd: (intervals - 1) / intervals,
+      connect: false
+    });
+  }
 
   updateRoadPosition() {
-    const roadSegmentLength = 500;
-    
-    // Check if car is approaching the end of the current road
-    if (Math.abs(this.car.position.z) > roadSegmentLength * 0.4) {
-      // Create a new road segment at the end of the current road
-      const newRoad = this.road.clone();
-      const newMarkings = this.roadMarkings.clone();
-      
-      // Position the new road segment
-      newRoad.position.z = this.road.position.z + roadSegmentLength;
-      newMarkings.position.z = newRoad.position.z;
-      
-      // Add new road to the scene
-      this.scene.add(newRoad);
-      this.scene.add(newMarkings);
+    // Remember which way each car is travelling so segments stream ahead of it
+    for (const player of this.players) {
+      const velocityZ = Math.cos(player.vehicle.heading) * player.vehicle.speed;
+      if (velocityZ !== 0) {
+        player.roadDirection = Math.sign(velocityZ);
+      }
     }
+    this.roadStreamer.updateAround(this.players.map((player) => ({
+      z: player.car.position.z,
+      direction: player.roadDirection
+    })));
   }
   
   createEnvironment() {
-    // Ground
-    const groundGeometry = new THREE.PlaneGeometry(1000, 1000);
-    const groundMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x267F00,
-      roughness: 0.8
+    // Hilly ground, flattened to just below the road wherever a road runs
+    this.terrain = new Terrain(this.scene, {
+      seed: this.seed,
+      roadNetwork: this.roadNetwork
+    });
+    this.terrain.update(this.start.x, this.start.z);
+
+    // Obstacles the car can run into
+    this.collisionWorld = new CollisionWorld();
+    this.collisionWorld.addEventListener('collision', (event) => this.onCollision(event));
+    
+    // Forests, bushes, rocks and grass streamed around the car
+    this.vegetation = new Vegetation(this.scene, {
+      seed: this.seed,
+      terrain: this.terrain,
+      roadNetwork: this.roadNetwork,
+      collisionWorld: this.collisionWorld
+    });
+    this.vegetation.update(this.start.x, this.start.z);
+
+    // Mountains, laid out from the world seed
+    this.scenery = generateScenery(this.seed, {
+      isClear: (x, z, margin) => this.roadNetwork.isClear(x, z, margin)
     });
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI / 2;
-    ground.position.y = -0.1; // Slightly below road
-    ground.receiveShadow = true;
-    this.scene.add(ground);
-    
-    // Add some trees and rocks
-    this.addTrees();
     this.addMountains();
   }
   
-  addTrees() {
-    // Function to create a simple tree
-    const createTree = (x, z) => {
-      const tree = new THREE.Group();
-      
-      // Tree trunk
-      const trunkGeometry = new THREE.CylinderGeometry(0.5, 0.7, 2, 8);
-      const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-      const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-      trunk.position.y = 1;
-      trunk.castShadow = true;
-      tree.add(trunk);
-      
-      // Tree top
-      const topGeometry = new THREE.ConeGeometry(2, 4, 8);
-      const topMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-      const top = new THREE.Mesh(topGeometry, topMaterial);
-      top.position.y = 4;
-      top.castShadow = true;
-      tree.add(top);
-      
-      // Position the tree
-      tree.position.set(x, 0, z);
-      return tree;
-    };
-    
-    // Add trees at random positions
-    for (let i = 0; i < 50; i++) {
-      const x = Math.random() * 200 - 100;
-      const z = Math.random() * 200 - 100;
-      
-      // Don't place trees on the road
-      if (Math.abs(x) > 15) {
-        const tree = createTree(x, z);
-        this.scene.add(tree);
-      }
-    }
-  }
-  
   addMountains() {
     // Create distant mountains
-    const mountainGeometry = new THREE.ConeGeometry(30, 50, 4);
+    const mountainGeometry = createMountainGeometry();
     const mountainMaterial = new THREE.MeshStandardMaterial({ 
       color: 0x888888,
       roughness: 1
     });
     
     // Add multiple mountains
-    for (let i = 0; i < 10; i++) {
+    for (const { x, z, rotation } of this.scenery.mountains) {
       const mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
-      const x = Math.random() * 400 - 200;
-      const z = Math.random() * 400 - 200;
-      
-      // Don't place mountains on the road
-      if (Math.abs(x) > 50) {
-        mountain.position.set(x, 0, z);
-        mountain.rotation.y = Math.random() * Math.PI;
-        this.scene.add(mountain);
-      }
+      mountain.position.set(x, this.terrain.getHeightAt(x, z), z);
+      mountain.rotation.y = rotation;
+      this.scene.add(mountain);
+      addMountainCollider(this.collisionWorld, x, z, mountain.position.y, { object: mountain });
     }
   }
   
-  createCar() {
-    const car = new THREE.Group();
-    
-    // Car body
-    const bodyGeometry = new THREE.BoxGeometry(2, 1, 4);
-    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 0.5;
-    body.castShadow = true;
-    car.add(body);
-    
-    // Car roof
-    const roofGeometry = new THREE.BoxGeometry(1.5, 0.7, 2);
-    const roofMaterial = new THREE.MeshStandardMaterial({ color: 0xaa0000 });
-    const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-    roof.position.y = 1.35;
-    roof.position.z = -0.5;
-    roof.castShadow = true;
-    car.add(roof);
-    
-    // Wheels
-    const wheelGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.4, 16);
-    const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
-    
-    // Front left wheel
-    const wheelFL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFL.position.set(-1.2, 0.5, 1.2);
-    wheelFL.rotation.z = Math.PI / 2;
-    wheelFL.castShadow = true;
-    car.add(wheelFL);
-    
-    // Front right wheel
-    const wheelFR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelFR.position.set(1.2, 0.5, 1.2);
-    wheelFR.rotation.z = Math.PI / 2;
-    wheelFR.castShadow = true;
-    car.add(wheelFR);
-    
-    // Back left wheel
-    const wheelBL = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBL.position.set(-1.2, 0.5, -1.2);
-    wheelBL.rotation.z = Math.PI / 2;
-    wheelBL.castShadow = true;
-    car.add(wheelBL);
-    
-    // Back right wheel
-    const wheelBR = new THREE.Mesh(wheelGeometry, wheelMaterial);
-    wheelBR.position.set(1.2, 0.5, -1.2);
-    wheelBR.rotation.z = Math.PI / 2;
-    wheelBR.castShadow = true;
-    car.add(wheelBR);
-    
-    // Headlights
-    const headlightGeometry = new THREE.SphereGeometry(0.2, 16, 16);
-    const headlightMaterial = new THREE.MeshBasicMaterial({ color: 0xffffcc });
-    
-    // Left headlight
-    const headlightL = new THREE.Mesh(headlightGeometry, headlightMaterial);
-    headlightL.position.set(-0.7, 0.7, 2);
-    car.add(headlightL);
-    
-    // Right headlight
-    const headlightR = new THREE.Mesh(headlightGeometry, headlightMaterial);
-    headlightR.position.set(0.7, 0.7, 2);
-    car.add(headlightR);
-    
-    // Window glass
-    const windshieldGeometry = new THREE.PlaneGeometry(1.4, 0.7);
-    const windowMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x88ccff,
-      transparent: true,
-      opacity: 0.7
+  setupControls() {
+    // Audio can only start after a user gesture
+    const resumeAudio = () => this.audioContext.resume();
+    document.addEventListener('keydown', resumeAudio, { once: true });
+    document.addEventListener('pointerdown', resumeAudio, { once: true });
+    // and goes quiet while the page is in the background
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.audio?.suspend();
+      else this.audio?.resume();
     });
-    
-    // Front windshield
-    const frontWindshield = new THREE.Mesh(windshieldGeometry, windowMaterial);
-    frontWindshield.position.set(0, 1.35, 0.5);
-    frontWindshield.rotation.x = Math.PI / 2.5;
-    car.add(frontWindshield);
-    
-    // Back windshield
-    const backWindshield = new THREE.Mesh(windshieldGeometry, windowMaterial);
-    backWindshield.position.set(0, 1.35, -1.5);
-    backWindshield.rotation.x = -Math.PI / 2.5;
-    car.add(backWindshield);
-    
-    return car;
+
+    // Keyboard, gamepad and touch input merged into analog values
+    this.inputManager = new InputManager({
+      touchElement: document.getElementById('touch-controls')
+    });
+    this.inputManager.addEventListener('action', ({ action }) => this.onAction(action));
+
+    // Pause menu with the settings panel, opened with Esc
+    this.menu = new PauseMenu(document.getElementById('menu'), {
+      settings: this.settings,
+      inputManager: this.inputManager
+    });
+    this.menu.addEventListener('resume', () => this.closeMenu());
+    this.menu.addEventListener('export', () => this.exportDrive());
+    this.menu.addEventListener('import', ({ file }) => this.importDrive(file));
+    this.menu.addEventListener('share', () => this.shareDrive());
+    this.menu.addEventListener('trial', ({ routeId }) => this.startTrial(this.routes.find(({ id }) => id === routeId)));
+    this.menu.addEventListener('stopTrial', () => {
+      this.stopTrial();
+      this.closeMenu();
+    });
+
+    // Replay playback bar
+    this.replayPanel = new ReplayPanel(document.getElementById('replay'));
+    this.replayPanel.addEventListener('close', () => this.closeReplay());
+    this.replayPanel.addEventListener('race', () => this.raceGhost(this.watching.replay));
+    this.replayPanel.addEventListener('export', () => this.exportReplay(this.watching.replay));
+    this.replayPanel.addEventListener('import', ({ file }) => this.importReplay(file));
+
+    // Time trial results
+    this.trialPanel.addEventListener('retry', () => this.startTrial(this.timeTrial.route));
+    this.trialPanel.addEventListener('close', () => {
+      this.stopTrial();
+      this.loop.resume();
+    });
+
+    // Photo mode (F) and its lens, filter and capture panel
+    this.photoMode = new PhotoMode(this.renderer, this.scene, { inputManager: this.inputManager });
+    this.photoPanel = new PhotoPanel(document.getElementById('photo'));
+    this.photoPanel.addEventListener('capture', ({ scale }) => this.capturePhoto(scale));
+    this.photoPanel.addEventListener('close', () => this.closePhotoMode());
   }
-  
-  setupControls() {
-    // Keyboard controls
-    document.addEventListener('keydown', (event) => {
-      switch (event.key) {
-        case 'ArrowUp':
-        case 'w':
-          this.keys.forward = true;
-          this.wind.loop = true;
-          this.wind.muted = true;
-          this.wind.play();
-          this.wind.muted = false; // Unmute after playing starts
-          this.engine.loop = true;
-          this.engine.muted = true;
-          this.engine.play();
-          this.engine.muted = false; // Unmute after playing starts
-          break;
-        case 'ArrowDown':
-        case 's':
-          this.keys.backward = true;
-          this.brake.play().then(() => {
-            setTimeout(() => {
-              this.brake.pause();
-            }, 2000);  // Add a time in milliseconds
-          });
-          break;
-        case 'ArrowLeft':
-        case 'a':
-          this.keys.left = true;
-          break;
-        case 'ArrowRight':
-        case 'd':
-          this.keys.right = true;
-          break;
+
+  // Freeze the world and look around it with a free camera, starting from
+  // player 1's view
+  openPhotoMode() {
+    this.resumeAfterPhoto = !this.loop.paused;
+    this.loop.pause();
+    this.photoMode.enter(this.player.camera);
+    this.photoPanel.show(this.photoMode);
+    document.body.classList.add('photo-mode');
+  }
+
+  closePhotoMode() {
+    this.photoMode.exit();
+    this.photoPanel.hide();
+    document.body.classList.remove('photo-mode');
+    if (this.resumeAfterPhoto) this.loop.resume();
+  }
+
+  async capturePhoto(scale) {
+    try {
+      const blob = await this.photoMode.capture(scale);
+      downloadBlob(blob, `chill-drive-${this.seed}-${Date.now()}.png`);
+      this.photoPanel.showStatus('Photo saved');
+    } catch (error) {
+      this.photoPanel.showStatus(`Could not save photo: ${error.message}`);
+    }
+  }
+
+  // Time trial routes from public/routes; routeId starts one of them
+  async loadRoutes(routeId) {
+    try {
+      this.routes = await loadRouteManifest();
+    } catch (error) {
+      console.warn('Time trials unavailable:', error.message);
+      return;
+    }
+    this.menu.setRoutes(this.routes);
+    const route = this.routes.find(({ id }) => id === routeId);
+    if (route) this.startTrial(route);
+  }
+
+  // Put player 1 before the route's start gate with the clock waiting for it
+  startTrial(route) {
+    // A route with a seed of its own is driven in that world, which means a
+    // reload; in a shared room the room's world can't change
+    if (route.seed !== undefined && route.seed !== this.seed) {
+      if (this.network) {
+        this.menu.showStatus(`${route.name} needs seed ${route.seed}, but this room drives seed ${this.seed}`);
+        return;
+      }
+      const gates = createGates(route, createMainRoad(route.seed, { width: this.mainRoad.width }));
+      this.openSession({ ...this.getSnapshot(), seed: route.seed, car: startPose(gates) }, { route: route.id });
+      return;
+    }
+
+    this.closeReplay();
+    const gates = createGates(route, this.mainRoad);
+    const key = bestTimesKey(route, this.seed);
+    this.timeTrial = { route, gates, key, best: loadBestTimes()[key] ?? null, trial: createTrial(route), time: 0 };
+    this.checkpointGates.show(gates);
+    this.showNextGate();
+    this.player.reset(startPose(gates));
+    this.startRecording();
+
+    this.trialPanel.show(route);
+    this.menu.setTrialActive(true);
+    this.menu.close();
+    this.loop.resume();
+  }
+
+  stopTrial() {
+    this.timeTrial = null;
+    this.checkpointGates.clear();
+    this.trialPanel.hide();
+    this.menu.setTrialActive(false);
+  }
+
+  // The last gate of the last lap is the finish line
+  showNextGate() {
+    const { trial } = this.timeTrial;
+    const finishGate = trial.closed ? 0 : trial.gateCount - 1;
+    const finish = trial.startTime !== null && trial.lap === trial.laps - 1 && trial.next === finishGate;
+    this.checkpointGates.setNext(trial.next, finish);
+  }
+
+  // Advance the trial clock by one simulation step and see whether player 1
+  // drove through the next gate during it
+  updateTrial(dt) {
+    const timeTrial = this.timeTrial;
+    if (timeTrial.trial.finished) return;
+    timeTrial.time += dt;
+    const fraction = findCrossing(timeTrial.gates[timeTrial.trial.next], this.player.previousPose, this.player.pose);
+    if (fraction === null) return;
+
+    // Timed at the moment within the step the car crossed the gate
+    const { trial, event } = passGate(timeTrial.trial, timeTrial.time - dt * (1 - fraction));
+    timeTrial.trial = trial;
+    const { best } = timeTrial;
+    switch (event.type) {
+      case 'sector':
+        this.trialPanel.showSplit(event.sectorTime, best?.sectors[event.sector]);
+        break;
+      case 'lap':
+        this.trialPanel.showSplit(event.lapTime, best?.lap);
+        break;
+      case 'finish': {
+        const bestTimes = loadBestTimes();
+        const { best: merged, improved } = mergeBestTimes(best, trial);
+        bestTimes[timeTrial.key] = merged;
+        saveBestTimes(bestTimes);
+        this.trialPanel.showResults(timeTrial.route, trial, best, improved);
+        this.loop.pause();
+        break;
       }
+    }
+    if (!trial.finished) this.showNextGate();
+  }
+
+  startRecording() {
+    this.recorder = new ReplayRecorder({
+      seed: this.seed,
+      carId: this.carId,
+      vehicle: this.player.vehicle,
+      params: this.player.vehicleParams,
+      timestep: this.loop.timestep
     });
-    
-    document.addEventListener('keyup', (event) => {
-      switch (event.key) {
-        case 'ArrowUp':
-        case 'w':
-          this.keys.forward = false;
-          this.engine.pause();
-          break;
-        case 'ArrowDown':
-        case 's':
-          this.keys.backward = false;
-          break;
-        case 'ArrowLeft':
-        case 'a':
-          this.keys.left = false;
-          break;
-        case 'ArrowRight':
-        case 'd':
-          this.keys.right = false;
-          break;
+  }
+
+  // Watch a replay (by default the drive so far) with the simulation paused
+  openReplay(replay = this.recorder.finish()) {
+    if (replay.frameCount < 2) return;
+    if (!this.watching) {
+      this.resumeAfterReplay = !this.loop.paused;
+      this.loop.pause();
+    }
+    this.watching = new ReplayPlayer(replay);
+    this.watching.play();
+    this.replayPanel.show(this.watching);
+  }
+
+  closeReplay() {
+    if (!this.watching) return;
+    this.watching = null;
+    this.replayPanel.hide();
+    if (this.resumeAfterReplay) this.loop.resume();
+  }
+
+  // Put the car back at the replay's start and drive against its ghost
+  raceGhost(replay) {
+    this.closeReplay();
+    if (!this.ghost) {
+      this.ghost = { car: createGhostCar(), player: null, tick: 0, pose: { x: 0, y: 0, z: 0, heading: 0, pitch: 0, roll: 0 } };
+      this.scene.add(this.ghost.car);
+    }
+    this.ghost.player = new ReplayPlayer(replay);
+    this.ghost.tick = 0;
+
+    this.player.reset(replay.start);
+    this.startRecording();
+    this.loop.resume();
+  }
+
+  exportReplay(replay) {
+    const blob = new Blob([encodeReplay(replay)], { type: 'application/octet-stream' });
+    downloadBlob(blob, `chill-drive-${this.seed}.replay`);
+  }
+
+  async importReplay(file) {
+    try {
+      const replay = decodeReplay(await file.arrayBuffer());
+      // Replays only make sense in the world they were driven in
+      if (replay.seed !== this.seed) {
+        this.replayPanel.showStatus(`This replay was recorded with seed ${replay.seed}; open the game with ?seed=${replay.seed} to watch it`);
+        return;
       }
+      this.openReplay(replay);
+    } catch (error) {
+      this.replayPanel.showStatus(`Could not import replay: ${error.message}`);
+    }
+  }
+
+  // Place a car from a replay transform, resting on the ground
+  placeFromReplay(object, pose, transform) {
+    Object.assign(pose, transform);
+    followGround(pose, this.terrain);
+    object.position.set(pose.x, pose.y, pose.z);
+    object.rotation.set(-pose.pitch, pose.heading, pose.roll);
+  }
+
+  getSnapshot() {
+    return createSnapshot({
+      seed: this.seed,
+      carId: this.carId,
+      vehicle: this.player.vehicle,
+      hour: this.dayNight.hour,
+      weather: this.weather.type
     });
   }
+
+  autosave() {
+    this.autosaveTime = 0;
+    saveSnapshot(this.getSnapshot());
+  }
+
+  exportDrive() {
+    const blob = new Blob([JSON.stringify(this.getSnapshot(), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `chill-drive-${this.seed}.json`);
+  }
+
+  async importDrive(file) {
+    try {
+      this.openSession(parseSnapshot(await file.text()));
+    } catch (error) {
+      this.menu.showStatus(`Could not import drive: ${error.message}`);
+    }
+  }
+
+  // Copy a link that opens this exact situation
+  async shareDrive() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('session', encodeSnapshot(this.getSnapshot()));
+    try {
+      await navigator.clipboard.writeText(url.href);
+      this.menu.showStatus('Link copied to the clipboard');
+    } catch {
+      this.menu.showStatus(url.href);
+    }
+  }
+
+  // A different seed means a different world, so restoring reloads the page
+  // params are extra query parameters for the reloaded page
+  openSession(snapshot, params = {}) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('session', encodeSnapshot(snapshot));
+    for (const [name, value] of Object.entries(params)) {
+      url.searchParams.set(name, value);
+    }
+    window.location.assign(url.href);
+  }
+
+  applySetting(key) {
+    const value = this.settings.get(key);
+    switch (key) {
+      case 'masterVolume':
+      case 'engineVolume':
+      case 'ambientVolume':
+        this.audio?.setVolumes({
+          master: this.settings.get('masterVolume'),
+          engine: this.settings.get('engineVolume'),
+          ambient: this.settings.get('ambientVolume')
+        });
+        break;
+      case 'trafficDensity':
+        this.traffic.setDensity(value);
+        break;
+      case 'splitScreen':
+        this.setPlayerCount(value === 'on' ? 2 : 1);
+        break;
+      case 'quality':
+        // Auto starts from the current level and adapts to the frame rate
+        if (value === 'auto') {
+          this.adaptiveQuality = new AdaptiveQuality({ level: this.qualityLevel ?? 'high' });
+          this.applyQuality(this.adaptiveQuality.level);
+        } else {
+          this.adaptiveQuality = null;
+          this.applyQuality(value);
+        }
+        break;
+      case 'cameraMode':
+        this.player.cameraController.setMode(value);
+        break;
+      case 'units':
+        this.hud.setUnits(value);
+        break;
+    }
+  }
+
+  applyQuality(level) {
+    this.qualityLevel = level;
+    const { pixelRatio, shadowMapSize, shadowDistance, drawDistance, terrainRadius, vegetationDensity } = QUALITY_PRESETS[level];
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, pixelRatio));
+
+    const shadow = this.sunLight.shadow;
+    if (shadow.mapSize.width !== shadowMapSize) {
+      shadow.mapSize.set(shadowMapSize, shadowMapSize);
+      // The shadow map is recreated at the new size on the next render
+      shadow.map?.dispose();
+      shadow.map = null;
+    }
+    const shadowCamera = shadow.camera;
+    shadowCamera.left = shadowCamera.bottom = -shadowDistance;
+    shadowCamera.right = shadowCamera.top = shadowDistance;
+    shadowCamera.updateProjectionMatrix();
+
+    // Terrain has its own, shorter reach, since chunks are expensive to build.
+    // The fog ends before the terrain does, so its edge never shows.
+    for (const { camera } of this.players) {
+      camera.far = drawDistance;
+      camera.updateProjectionMatrix();
+    }
+    this.terrain.viewRadius = terrainRadius;
+    this.weather.drawDistance = Math.min(drawDistance, terrainRadius * this.terrain.chunkSize);
+
+    this.vegetation.setDrawDistance(drawDistance);
+    this.vegetation.setDensity(vegetationDensity);
+  }
+
+  openMenu() {
+    this.resumeAfterMenu = !this.loop.paused;
+    this.loop.pause();
+    this.menu.open();
+  }
+
+  closeMenu() {
+    this.menu.close();
+    if (this.resumeAfterMenu) this.loop.resume();
+  }
+
+  onAction(action) {
+    // Photo mode keeps the keys for flying; the photo and menu keys leave it
+    if (this.photoMode.active) {
+      if (action === 'photo' || action === 'menu') this.closePhotoMode();
+      return;
+    }
+
+    // Only the menu key works while the menu is open
+    if (this.menu.isOpen && action !== 'menu') return;
+
+    // While watching a replay, pause plays and pauses the replay instead,
+    // and driving-related actions wait until it's closed
+    if (this.watching) {
+      if (action === 'pause') this.watching.toggle();
+      if (action === 'replay') this.closeReplay();
+      if (!['camera', 'hud', 'stats', 'photo'].includes(action)) return;
+    }
+
+    switch (action) {
+      case 'replay':
+        this.openReplay();
+        break;
+      case 'photo':
+        this.openPhotoMode();
+        break;
+      case 'menu':
+        if (this.menu.isOpen) this.closeMenu();
+        else this.openMenu();
+        break;
+      case 'pause':
+        this.loop.togglePause();
+        break;
+      case 'camera':
+        this.player.cameraController.nextMode();
+        this.settings.set('cameraMode', this.player.cameraController.mode);
+        break;
+      case 'weather':
+        this.weather.nextWeather();
+        break;
+      case 'slowMotion':
+        // Toggle quarter-speed slow motion
+        this.loop.setTimeScale(this.loop.timeScale === 1 ? 0.25 : 1);
+        break;
+      case 'hud':
+        this.hud.toggle();
+        break;
+      case 'stats':
+        this.stats.toggle();
+        break;
+    }
+  }
   
+  onCollision({ impact, car }) {
+    // Harder hits make a louder crunch; the engine sound is player 1's, so
+    // only their hits are heard
+    if (car !== this.player.index) return;
+    this.audio?.playImpact(impact);
+  }
+
   onWindowResize() {
-    this.camera.aspect = window.innerWidth / window.innerHeight;
-    this.camera.updateProjectionMatrix();
+    this.layoutViews();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    if (this.photoMode.active) this.photoMode.resize();
   }
   
-  updateCarPosition() {
-    // Handle acceleration and deceleration
-    if (this.keys.forward) {
-      this.carSpeed += this.acceleration;
-      if (this.carSpeed > this.maxSpeed) {
-        this.carSpeed = this.maxSpeed;
-      }
-    } else if (this.keys.backward) {
-      this.carSpeed -= this.acceleration;
-      if (this.carSpeed < -this.maxSpeed / 2) {
-        this.carSpeed = -this.maxSpeed / 2;
-      }
-    } else {
-      // Decelerate when no keys are pressed
-      if (this.carSpeed > 0) {
-        this.carSpeed -= this.deceleration;
-        if (this.carSpeed < 0) this.carSpeed = 0;
-      } else if (this.carSpeed < 0) {
-        this.carSpeed += this.deceleration;
-        if (this.carSpeed > 0) this.carSpeed = 0;
-      }
+  // One fixed simulation step of dt seconds
+  updateCarPosition(dt) {
+    // Traffic moves first, so the players collide with where it is now
+    this.traffic.step(dt, this.players.map((player) => ({ ...player.vehicle, direction: player.roadDirection })));
+    this.trafficCars.sync(this.traffic.cars);
+
+    // Quantized the way replays store it, so replayed input drives identically
+    for (const player of this.players) {
+      const input = quantizeInput(this.inputManager.getState(player.index, this.players.length));
+      player.step(dt, input, this.weather);
     }
-    
-    // Rotate car based on input
-    if (this.keys.left) {
-      this.car.rotation.y += this.turnSpeed;
+
+    const { vehicle, input, vehicleParams } = this.player;
+    this.hud.track(vehicle, dt);
+    this.recorder.record(input, vehicle, vehicleParams);
+    if (this.ghost) this.ghost.tick++;
+    if (this.timeTrial) this.updateTrial(dt);
+  }
+
+  render(alpha) {
+    this.inputManager.update();
+    const dt = this.clock.getDelta();
+    const { car, vehicle } = this.player;
+
+    // The simulation moves the cars, unless a replay being watched moves player 1's
+    const speeds = this.players.map((player) => player.vehicle.speed);
+    this.players.forEach((player) => player.updateTransform(alpha));
+    if (this.watching) {
+      // A replay holds still for photos
+      if (!this.photoMode.active) this.watching.update(dt);
+      this.replayPanel.update();
+      this.placeFromReplay(car, this.replayPose, this.watching.getTransform());
+      speeds[0] = this.watching.getSpeed();
     }
-    if (this.keys.right) {
-      this.car.rotation.y -= this.turnSpeed;
+
+    // The ghost runs in simulation ticks, so it stays in step with the player
+    if (this.ghost) {
+      const { player } = this.ghost;
+      player.frame = Math.min(Math.max(0, this.ghost.tick - 1 + alpha), player.replay.frameCount - 1);
+      this.placeFromReplay(this.ghost.car, this.ghost.pose, player.getTransform());
     }
-    
-    // Move car forward based on its rotation
-    const moveX = Math.sin(this.car.rotation.y) * this.carSpeed;
-    const moveZ = Math.cos(this.car.rotation.y) * this.carSpeed;
-    this.car.position.x += moveX;
-    this.car.position.z += moveZ;
-    
-    // Update camera position to follow the car
-    this.camera.position.x = this.car.position.x + Math.sin(this.car.rotation.y) * -10;
-    this.camera.position.z = this.car.position.z + Math.cos(this.car.rotation.y) * -10;
-    this.camera.position.y = this.car.position.y + 5;
-    this.camera.lookAt(this.car.position);
+
+    // The world is streamed in around every player, and the photo camera
+    const positions = this.players.map((player) => player.car.position);
+    if (this.photoMode.active) positions.push(this.photoMode.camera.position);
+    this.updateRoadPosition();
+    this.terrain.updateAround(positions, 1);
+    this.vegetation.updateAround(positions, 2);
+    const simulatedDt = this.loop.paused ? 0 : dt * this.loop.timeScale;
+    this.trafficCars.update(this.traffic.cars, alpha, simulatedDt);
+    // Other drivers keep going while this game is paused
+    if (this.network) {
+      this.network.update(this.player.vehicle);
+      this.remoteCars.update(this.network.getRemoteCars(), dt);
+    }
+    this.dayNight.update(simulatedDt, car.position);
+    const lightsOn = this.dayNight.isDark || this.weather.current.fogFar < 200;
+    this.players.forEach((player, index) => {
+      setLightsOn(player.car, lightsOn);
+      player.cameraController.update(player.car, speeds[index], dt);
+    });
+    this.weather.update(simulatedDt, this.player.camera);
+    this.audio?.setAmbience({ rain: this.weather.current.rainVolume, wind: this.weather.current.windVolume });
+    this.audio?.update(vehicle, this.player.input.throttle, this.player.vehicleParams);
+    this.hud.update(vehicle, car);
+    this.checkpointGates.update(dt);
+    if (this.timeTrial) this.trialPanel.update(this.timeTrial.trial, this.timeTrial.time, dt);
+    this.renderer.info.reset();
+    if (this.photoMode.active) {
+      this.photoMode.update(dt);
+      this.weather.followCamera(this.photoMode.camera);
+      this.photoMode.render();
+    } else {
+      this.renderViews();
+      // Seen from 200 m up, the map would be all fog
+      this.weather.withoutFog(() => this.hud.renderMinimap(this.renderer, car));
+    }
+
+    // Frame statistics, and the adaptive quality level when it's on
+    const qualityLabel = this.adaptiveQuality ? `auto (${this.qualityLevel})` : this.qualityLevel;
+    this.stats.update(dt, this.renderer.info, qualityLabel);
+    // Post-processing is slower on purpose, so photo mode doesn't count
+    const level = this.photoMode.active ? null : this.adaptiveQuality?.update(dt);
+    if (level) this.applyQuality(level);
+
+    this.autosaveTime += dt;
+    if (this.autosaveTime >= 5) this.autosave();
   }
-  
-  animate() {
-    requestAnimationFrame(() => this.animate());
-    
-    this.updateCarPosition();
-    this.updateRoadPosition(); // Add this line
-    this.renderer.render(this.scene, this.camera);
+
+  // Each player's camera into their part of the window
+  renderViews() {
+    if (this.players.length === 1) {
+      this.renderer.render(this.scene, this.player.camera);
+      return;
+    }
+
+    this.renderer.setScissorTest(true);
+    for (const player of this.players) {
+      const { x, y, width, height } = player.viewport;
+      this.renderer.setViewport(x, y, width, height);
+      this.renderer.setScissor(x, y, width, height);
+      this.weather.followCamera(player.camera);
+      this.renderer.render(this.scene, player.camera);
+    }
+    this.renderer.setScissorTest(false);
+    this.renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
   }
 }
 
-// Initialize the simulation when the page loads
-window.onload = () => {
-  new DrivingSimulation();
-};
\ No newline at end of file
+// Pick a car in the garage (or continue the last drive), then start the
+// simulation. A ?session= link skips the garage and restores that drive, and
+// ?route= starts a time trial.
+window.onload = async () => {
+  const routeId = new URLSearchParams(window.location.search).get('route');
+  let shared = null;
+  try {
+    shared = getSnapshotFromQuery(window.location.search);
+  } catch (error) {
+    console.warn('Ignoring shared drive:', error.message);
+  }
+  if (shared || routeId) {
+    // Reloading after this should continue the drive, not restart the link
+    const url = new URL(window.location.href);
+    url.searchParams.delete('session');
+    url.searchParams.delete('route');
+    history.replaceState(null, '', url);
+  }
+
+  let entry = { id: 'classic', model: null, handling: {} };
+  let snapshot = shared;
+  try {
+    const cars = await loadCarManifest();
+    if (shared) {
+      entry = cars.find((candidate) => candidate.id === shared.carId) ?? entry;
+    } else {
+      ({ entry, snapshot } = await showGarage(document.getElementById('garage'), cars, { savedDrive: loadSnapshot() }));
+    }
+  } catch (error) {
+    console.warn('Garage unavailable, starting with the built-in car:', error);
+  }
+  // With ?server= the drive is shared with the relay room, whose world wins
+  let seed = snapshot?.seed ?? getSeedFromQuery(window.location.search);
+  const network = await joinRelay(seed);
+  if (network) {
+    if (snapshot && snapshot.seed !== network.seed) snapshot = null;
+    seed = network.seed;
+  }
+
+  const car = await loadCar(entry);
+  new DrivingSimulation({ car, carId: entry.id, handling: entry.handling, snapshot, seed, network, routeId });
+};
+
+// Connect to the relay named by ?server= (e.g. ws://localhost:8787), in
+// ?room= or the default room. Without it, or if the relay can't be reached,
+// the drive is single-player.
+async function joinRelay(seed) {
+  const params = new URLSearchParams(window.location.search);
+  const server = params.get('server');
+  if (!server) return null;
+
+  try {
+    const url = new URL(server);
+    url.searchParams.set('room', params.get('room') || 'default');
+    const network = new NetworkClient({ url: url.href, seed, name: params.get('name') ?? '' });
+    await network.connect();
+    return network;
+  } catch (error) {
+    console.warn('Driving alone:', error.message);
+    return null;
+  }
+}
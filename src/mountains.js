@@ -0,0 +1,18 @@
+import * as THREE from 'three';
+
+// Size of the distant mountains: four-sided cones, centred on their origin
+// like every three.js cone, so standing one on the ground sinks its lower
+// half and only the top shows.
+const MOUNTAIN_RADIUS = 30;
+const MOUNTAIN_HEIGHT = 50;
+
+export function createMountainGeometry() {
+  return new THREE.ConeGeometry(MOUNTAIN_RADIUS, MOUNTAIN_HEIGHT, 4);
+}
+
+// Collider for a mountain mesh placed at groundY. The cone's base is as far
+// underground as the mesh's, so at every height the collider is as wide as
+// the rock the car can see.
+export function addMountainCollider(world, x, z, groundY, userData) {
+  return world.addCone(x, z, MOUNTAIN_RADIUS, MOUNTAIN_HEIGHT, groundY - MOUNTAIN_HEIGHT / 2, userData);
+}
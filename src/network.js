@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+
+// Client side of driving together through the relay in server/relay.js. The
+// local car's state goes out at a fixed rate; remote cars are drawn a little
+// in the past, blended between the two states around that time, and keep
+// moving on their own for a moment when states stop arriving. Nothing here
+// touches the DOM, so headless clients work in Node with the ws package's
+// WebSocket.
+export const DEFAULT_NETWORK_SETTINGS = {
+  sendRate: 15,             // States sent per second
+  interpolationDelay: 0.15, // Remote cars are shown this far in the past (s)
+  maxExtrapolation: 0.5,    // How long a remote car carries on past its last state (s)
+  bufferTime: 2             // Seconds of states kept for each remote car
+};
+
+// Vehicle fields that go into a state, besides the time
+const STATE_FIELDS = ['x', 'z', 'heading', 'speed', 'steerAngle', 'yawRate', 'longitudinalAccel', 'lateralAccel'];
+
+// Where a car was at time, from its states sorted by time ({ t, x, z,
+// heading, speed, ... }). Between two states the pose is blended; after the
+// last one the car is moved on along its heading and yaw rate, for at most
+// maxExtrapolation seconds.
+export function sampleStates(states, time, maxExtrapolation = DEFAULT_NETWORK_SETTINGS.maxExtrapolation) {
+  if (states.length === 0) return null;
+  if (time <= states[0].t) return { ...states[0] };
+
+  const last = states[states.length - 1];
+  if (time >= last.t) {
+    const dt = Math.min(time - last.t, maxExtrapolation);
+    const heading = last.heading + last.yawRate * dt;
+    // Move along the heading halfway through the turn
+    const middle = last.heading + last.yawRate * dt * 0.5;
+    return {
+      ...last,
+      x: last.x + Math.sin(middle) * last.speed * dt,
+      z: last.z + Math.cos(middle) * last.speed * dt,
+      heading
+    };
+  }
+
+  let index = 1;
+  while (states[index].t < time) index++;
+  const a = states[index - 1];
+  const b = states[index];
+  const t = (time - a.t) / (b.t - a.t);
+  const sample = {};
+  for (const key of STATE_FIELDS) {
+    sample[key] = THREE.MathUtils.lerp(a[key], b[key], t);
+  }
+  // Turn the short way round across ±π
+  const turn = b.heading - a.heading;
+  sample.heading = a.heading + Math.atan2(Math.sin(turn), Math.cos(turn)) * t;
+  sample.t = time;
+  return sample;
+}
+
+// Connection to a relay room. connect() resolves with the room's seed once
+// the relay has welcomed us. Fires { type: 'join', id, name },
+// { type: 'leave', id } and { type: 'disconnect' }.
+export class NetworkClient extends THREE.EventDispatcher {
+  constructor({
+    url,
+    seed,
+    name = '',
+    settings = DEFAULT_NETWORK_SETTINGS,
+    WebSocket = globalThis.WebSocket,
+    now = () => performance.now() / 1000
+  }) {
+    super();
+    this.url = url;
+    this.seed = seed;
+    this.name = name;
+    this.settings = settings;
+    this.WebSocket = WebSocket;
+    this.now = now;
+    this.id = null;
+    this.socket = null;
+    this.remotes = new Map(); // id -> { id, name, offset, states }
+    this.nextSendTime = -Infinity;
+  }
+
+  get connected() {
+    return this.id !== null && this.socket?.readyState === this.WebSocket.OPEN;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+
+      socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'hello', seed: this.seed, name: this.name }));
+      });
+      socket.addEventListener('message', (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+        if (message.type === 'welcome') {
+          this.id = message.id;
+          this.seed = message.seed;
+          for (const peer of message.peers) this.addRemote(peer.id, peer.name);
+          resolve({ id: this.id, seed: this.seed });
+        } else {
+          this.onMessage(message);
+        }
+      });
+      socket.addEventListener('error', () => reject(new Error(`Could not connect to ${this.url}`)));
+      socket.addEventListener('close', () => {
+        reject(new Error('The relay closed the connection'));
+        if (this.id !== null) this.dispatchEvent({ type: 'disconnect' });
+        this.id = null;
+        this.remotes.clear();
+      });
+    });
+  }
+
+  close() {
+    this.socket?.close();
+  }
+
+  addRemote(id, name) {
+    if (!this.remotes.has(id)) {
+      this.remotes.set(id, { id, name, offset: Infinity, states: [] });
+    }
+    return this.remotes.get(id);
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'join':
+        this.addRemote(message.id, message.name);
+        this.dispatchEvent({ type: 'join', id: message.id, name: message.name });
+        break;
+      case 'leave':
+        if (this.remotes.delete(message.id)) {
+          this.dispatchEvent({ type: 'leave', id: message.id });
+        }
+        break;
+      case 'state':
+        this.receiveState(message);
+        break;
+    }
+  }
+
+  // States are stamped with the sender's clock. The smallest difference seen
+  // between arrival and stamp maps them onto ours with the least delay.
+  receiveState(message) {
+    const remote = this.remotes.get(message.id) ?? this.addRemote(message.id, '');
+    const now = this.now();
+    remote.offset = Math.min(remote.offset, now - message.t);
+
+    const state = { t: message.t + remote.offset };
+    for (const key of STATE_FIELDS) {
+      const value = Number(message[key]);
+      state[key] = Number.isFinite(value) ? value : 0;
+    }
+
+    // Late arrivals are older than what's already there; drop them
+    const { states } = remote;
+    if (states.length && state.t <= states[states.length - 1].t) return;
+    states.push(state);
+    while (states.length > 2 && states[1].t < now - this.settings.bufferTime) states.shift();
+  }
+
+  // Send the local car's state when the next one is due; call every frame
+  update(vehicle) {
+    if (!this.connected) return;
+    const now = this.now();
+    if (now < this.nextSendTime) return;
+    // Keep to the rate on average, whatever the frame times, without a burst
+    // of catching up after a stall
+    const interval = 1 / this.settings.sendRate;
+    this.nextSendTime = Math.max(this.nextSendTime + interval, now + interval / 2);
+
+    const message = { type: 'state', t: now };
+    for (const key of STATE_FIELDS) message[key] = vehicle[key];
+    this.socket.send(JSON.stringify(message));
+  }
+
+  // Remote cars that have sent a state, where they are to be drawn now.
+  // latest is where each car was in the newest state received: drawing lags
+  // by interpolationDelay for smooth motion, but collisions shouldn't.
+  getRemoteCars() {
+    const time = this.now() - this.settings.interpolationDelay;
+    const cars = [];
+    for (const remote of this.remotes.values()) {
+      const state = sampleStates(remote.states, time, this.settings.maxExtrapolation);
+      if (!state) continue;
+      const { x, z, heading } = remote.states[remote.states.length - 1];
+      cars.push({ id: remote.id, name: remote.name, ...state, latest: { x, z, heading } });
+    }
+    return cars;
+  }
+}
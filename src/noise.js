@@ -0,0 +1,66 @@
+import { createRandom } from './random.js';
+
+const GRADIENTS = [
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+  [1, 0], [-1, 0], [0, 1], [0, -1]
+];
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Seeded 2D gradient (Perlin) noise. The returned function maps (x, y) to
+// roughly [-1, 1] and always gives the same value for the same seed.
+export function createNoise2D(seed) {
+  const random = createRandom(seed);
+
+  // Shuffle a permutation table with the seeded generator
+  const permutation = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) perm[i] = permutation[i & 255];
+
+  const dot = (hash, x, y) => {
+    const g = GRADIENTS[hash & 7];
+    return g[0] * x + g[1] * y;
+  };
+
+  return (x, y) => {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    const X = xi & 255;
+    const Y = yi & 255;
+
+    const aa = perm[perm[X] + Y];
+    const ab = perm[perm[X] + Y + 1];
+    const ba = perm[perm[X + 1] + Y];
+    const bb = perm[perm[X + 1] + Y + 1];
+
+    const u = fade(xf);
+    const v = fade(yf);
+    return lerp(
+      lerp(dot(aa, xf, yf), dot(ba, xf - 1, yf), u),
+      lerp(dot(ab, xf, yf - 1), dot(bb, xf - 1, yf - 1), u),
+      v
+    );
+  };
+}
+
+// Fractal sum of several noise octaves
+export function fbm(noise, x, y, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+  let amplitude = 1;
+  let frequency = 1;
+  let sum = 0;
+  let total = 0;
+  for (let i = 0; i < octaves; i++) {
+    sum += noise(x * frequency, y * frequency) * amplitude;
+    total += amplitude;
+    amplitude *= gain;
+    frequency *= lacunarity;
+  }
+  return sum / total;
+}
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { CAMERA_MODES } from './cameraController.js';
+import { SPEED_UNITS } from './hud.js';
+import { QUALITY_OPTIONS } from './settings.js';
+
+// Settings shown in the panel, in order
+const CONTROLS = [
+  { key: 'masterVolume', label: 'Master volume' },
+  { key: 'engineVolume', label: 'Engine volume' },
+  { key: 'ambientVolume', label: 'Ambient volume' },
+  { key: 'trafficDensity', label: 'Traffic density' },
+  { key: 'splitScreen', label: 'Players', options: [['off', '1 player'], ['on', '2 players (split screen)']] },
+  { key: 'quality', label: 'Graphics quality', options: QUALITY_OPTIONS.map((level) => [level, level]) },
+  { key: 'cameraMode', label: 'Camera', options: CAMERA_MODES.map((mode) => [mode, mode]) },
+  { key: 'units', label: 'Units', options: Object.entries(SPEED_UNITS).map(([key, unit]) => [key, unit.label]) }
+];
+
+const ACTION_LABELS = {
+  throttle: 'Accelerate',
+  brake: 'Brake / reverse',
+  steerLeft: 'Steer left',
+  steerRight: 'Steer right',
+  p2Throttle: 'Player 2 accelerate',
+  p2Brake: 'Player 2 brake / reverse',
+  p2SteerLeft: 'Player 2 steer left',
+  p2SteerRight: 'Player 2 steer right',
+  pause: 'Pause',
+  slowMotion: 'Slow motion',
+  camera: 'Camera',
+  weather: 'Weather',
+  hud: 'Toggle HUD',
+  stats: 'Stats overlay',
+  replay: 'Watch replay',
+  photo: 'Photo mode',
+  menu: 'Menu'
+};
+
+// 'KeyW' -> 'W', 'ArrowUp' -> 'Up'
+const keyName = (code) => code.replace(/^(Key|Digit|Arrow)/, '');
+
+function createRow(label, control) {
+  const row = document.createElement('label');
+  row.className = 'menu-row';
+  const text = document.createElement('span');
+  text.textContent = label;
+  row.append(text, control);
+  return row;
+}
+
+// Pause menu with the settings panel. Every change goes straight into the
+// settings store (or the input bindings), which apply and save it. Fires
+// { type: 'resume' } when the player asks to carry on driving, and 'export',
+// 'share' and { type: 'import', file } for saving and loading drives, and
+// { type: 'trial', routeId } and 'stopTrial' for time trials.
+export class PauseMenu extends THREE.EventDispatcher {
+  constructor(element, { settings, inputManager }) {
+    super();
+    this.element = element;
+    this.settings = settings;
+    this.inputManager = inputManager;
+    this.inputs = {};
+    this.bindingButtons = {};
+
+    this.createSettings(element.querySelector('.menu-settings'));
+    this.createBindings(element.querySelector('.menu-bindings'));
+
+    element.querySelector('[data-menu="resume"]').addEventListener('click', () => this.dispatchEvent({ type: 'resume' }));
+    element.querySelector('[data-menu="reset"]').addEventListener('click', () => {
+      settings.reset();
+      inputManager.resetBindings();
+      this.refreshBindings();
+    });
+
+    // Drives are saved to and loaded from JSON files, or shared as links
+    element.querySelector('[data-menu="export"]').addEventListener('click', () => this.dispatchEvent({ type: 'export' }));
+    element.querySelector('[data-menu="share"]').addEventListener('click', () => this.dispatchEvent({ type: 'share' }));
+    const fileInput = element.querySelector('[data-menu="file"]');
+    element.querySelector('[data-menu="import"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.dispatchEvent({ type: 'import', file: fileInput.files[0] });
+      fileInput.value = '';
+    });
+    this.status = element.querySelector('.menu-status');
+
+    // Time trials: pick a route and start it; routes come in with setRoutes
+    this.routes = [];
+    this.routeSelect = element.querySelector('[data-menu="route"]');
+    this.routeInfo = element.querySelector('[data-menu="routeInfo"]');
+    this.trialButton = element.querySelector('[data-menu="trial"]');
+    this.stopTrialButton = element.querySelector('[data-menu="stopTrial"]');
+    this.routeSelect.addEventListener('input', () => this.showRouteInfo());
+    this.trialButton.addEventListener('click', () => {
+      if (this.routeSelect.value) this.dispatchEvent({ type: 'trial', routeId: this.routeSelect.value });
+    });
+    this.stopTrialButton.addEventListener('click', () => this.dispatchEvent({ type: 'stopTrial' }));
+    this.setRoutes([]);
+
+    // Settings can also change from gameplay, e.g. C cycles the camera
+    settings.addEventListener('change', ({ key, value }) => {
+      if (this.inputs[key]) this.inputs[key].value = value;
+    });
+  }
+
+  get isOpen() {
+    return !this.element.hidden;
+  }
+
+  showStatus(text) {
+    this.status.textContent = text;
+  }
+
+  open() {
+    this.showStatus('');
+    this.refreshBindings();
+    this.element.hidden = false;
+    this.element.querySelector('[data-menu="resume"]').focus();
+  }
+
+  close() {
+    this.cancelCapture?.();
+    this.element.hidden = true;
+  }
+
+  setRoutes(routes) {
+    this.routes = routes;
+    this.routeSelect.replaceChildren(...routes.map((route) => new Option(route.name, route.id)));
+    this.routeSelect.disabled = routes.length === 0;
+    this.trialButton.disabled = routes.length === 0;
+    this.showRouteInfo();
+  }
+
+  setTrialActive(active) {
+    this.stopTrialButton.hidden = !active;
+  }
+
+  showRouteInfo() {
+    const route = this.routes.find(({ id }) => id === this.routeSelect.value);
+    if (!route) {
+      this.routeInfo.textContent = 'No routes available';
+      return;
+    }
+    const laps = route.closed ? `${route.laps} lap${route.laps === 1 ? '' : 's'}` : 'Sprint';
+    this.routeInfo.textContent = `${laps}, ${route.checkpoints.length} checkpoints. ${route.description}`;
+  }
+
+  createSettings(container) {
+    for (const { key, label, options } of CONTROLS) {
+      let input;
+      if (options) {
+        input = document.createElement('select');
+        for (const [value, text] of options) {
+          input.add(new Option(text, value));
+        }
+      } else {
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = 0;
+        input.max = 1;
+        input.step = 0.05;
+      }
+      input.value = this.settings.get(key);
+      // Sliders hold numbers; settings only take real ones, not their text
+      input.addEventListener('input', () => this.settings.set(key, options ? input.value : input.valueAsNumber));
+      this.inputs[key] = input;
+      container.appendChild(createRow(label, input));
+    }
+  }
+
+  createBindings(container) {
+    for (const action of Object.keys(this.inputManager.bindings)) {
+      const button = document.createElement('button');
+      button.addEventListener('click', () => this.captureKey(action, button));
+      this.bindingButtons[action] = button;
+      container.appendChild(createRow(ACTION_LABELS[action] ?? action, button));
+    }
+    this.refreshBindings();
+  }
+
+  refreshBindings() {
+    for (const [action, button] of Object.entries(this.bindingButtons)) {
+      button.textContent = this.inputManager.bindings[action].map(keyName).join(' / ') || '—';
+    }
+  }
+
+  // Wait for the next key press and make it the action's main key. Escape
+  // cancels. Listening on window in the capture phase keeps the key press
+  // from also reaching the game.
+  captureKey(action, button) {
+    this.cancelCapture?.();
+    button.textContent = 'Press a key…';
+
+    const onKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.cancelCapture();
+      if (event.code === 'Escape') return;
+
+      // A key does one thing: take it away from any other action
+      const { bindings } = this.inputManager;
+      for (const other of Object.keys(bindings)) {
+        if (other !== action && bindings[other].includes(event.code)) {
+          this.inputManager.setBinding(other, bindings[other].filter((code) => code !== event.code));
+        }
+      }
+      const rest = bindings[action].slice(1).filter((code) => code !== event.code);
+      this.inputManager.setBinding(action, [event.code, ...rest]);
+      this.refreshBindings();
+    };
+
+    window.addEventListener('keydown', onKeyDown, { capture: true });
+    this.cancelCapture = () => {
+      window.removeEventListener('keydown', onKeyDown, { capture: true });
+      this.cancelCapture = null;
+      this.refreshBindings();
+    };
+  }
+}
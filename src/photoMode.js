@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+// Colour grading of each filter, applied in linear space before the output
+// conversion. tint multiplies the colour, fade lifts the blacks.
+export const PHOTO_FILTERS = {
+  none: { label: 'None', saturation: 1, contrast: 1, tint: [1, 1, 1], fade: 0, vignette: 0 },
+  warm: { label: 'Warm', saturation: 1.1, contrast: 1.05, tint: [1.08, 1, 0.86], fade: 0, vignette: 0.2 },
+  cool: { label: 'Cool', saturation: 0.95, contrast: 1.05, tint: [0.88, 0.98, 1.1], fade: 0, vignette: 0.2 },
+  vivid: { label: 'Vivid', saturation: 1.4, contrast: 1.2, tint: [1, 1, 1], fade: 0, vignette: 0.1 },
+  mono: { label: 'Black & white', saturation: 0, contrast: 1.25, tint: [1, 1, 1], fade: 0, vignette: 0.3 },
+  sepia: { label: 'Sepia', saturation: 0, contrast: 1.1, tint: [1.1, 0.88, 0.62], fade: 0.02, vignette: 0.35 },
+  vintage: { label: 'Vintage', saturation: 0.7, contrast: 0.9, tint: [1.05, 0.97, 0.85], fade: 0.05, vignette: 0.45 }
+};
+
+export const DEFAULT_PHOTO_SETTINGS = {
+  fov: 60,            // Degrees
+  focusDistance: 15,  // m
+  depthOfField: 0,    // 0 is everything sharp, 1 the strongest blur
+  exposure: 0,        // Stops
+  filter: 'none'
+};
+
+// Multisampling of the composer's targets for the live view
+const VIEW_SAMPLES = 4;
+
+// Largest depth-of-field aperture and blur, in BokehPass units
+const MAX_APERTURE = 0.002;
+const MAX_BLUR = 0.012;
+
+// Photos have at most this many pixels (4K UHD). Every pixel costs the
+// canvas, the composer's half-float targets and the depth-of-field targets,
+// so bigger shots risk running the GPU out of memory and losing the context.
+const MAX_CAPTURE_PIXELS = 3840 * 2160;
+
+const MOVE_SPEED = 10;   // m/s, five times that with Shift
+const LOOK_SPEED = 0.004; // Radians per pixel dragged
+
+const GradingShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    exposure: { value: 1 },
+    saturation: { value: 1 },
+    contrast: { value: 1 },
+    tint: { value: new THREE.Color(1, 1, 1) },
+    fade: { value: 0 },
+    vignette: { value: 0 }
+  },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform float exposure;
+    uniform float saturation;
+    uniform float contrast;
+    uniform vec3 tint;
+    uniform float fade;
+    uniform float vignette;
+    varying vec2 vUv;
+
+    void main() {
+      vec4 texel = texture2D(tDiffuse, vUv);
+      vec3 color = texel.rgb * exposure;
+      float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+      color = mix(vec3(luma), color, saturation);
+      // Contrast pivots on middle grey, which is 0.18 in linear light
+      color = max((color - 0.18) * contrast + 0.18, 0.0);
+      color = color * tint * (1.0 - fade) + fade;
+      color *= 1.0 - vignette * smoothstep(0.3, 0.8, distance(vUv, vec2(0.5)));
+      gl_FragColor = vec4(color, texel.a);
+    }
+  `
+};
+
+// How much to scale a width x height (device pixels) view for a photo: scale,
+// but no side longer than maxSide and no more than MAX_CAPTURE_PIXELS in all.
+// Never scales down below the view itself.
+export function captureScale(width, height, scale, maxSide) {
+  const limit = Math.min(maxSide / Math.max(width, height), Math.sqrt(MAX_CAPTURE_PIXELS / (width * height)));
+  return Math.max(1, Math.min(scale, limit));
+}
+
+// Photo mode: a free-flying camera (driving keys move it, Q/E go down and up,
+// Shift is faster, dragging looks around) rendered through post-processing
+// for depth of field, exposure and colour filters. The game freezes the
+// simulation while it's open.
+export class PhotoMode {
+  constructor(renderer, scene, { inputManager }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.inputManager = inputManager;
+    this.active = false;
+    this.settings = { ...DEFAULT_PHOTO_SETTINGS };
+
+    this.camera = new THREE.PerspectiveCamera(this.settings.fov, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.camera.rotation.order = 'YXZ';
+
+    // Multisampled, since the composer's targets don't get the canvas' antialiasing
+    const target = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, samples: VIEW_SAMPLES });
+    this.composer = new EffectComposer(renderer, target);
+    this.bokehPass = new BokehPass(scene, this.camera, { focus: 15, aperture: 0, maxblur: MAX_BLUR });
+    this.gradingPass = new ShaderPass(GradingShader);
+    this.composer.addPass(new RenderPass(scene, this.camera));
+    this.composer.addPass(this.bokehPass);
+    this.composer.addPass(this.gradingPass);
+    this.composer.addPass(new OutputPass());
+    this.apply();
+  }
+
+  // Take over from camera (the view the player was looking through)
+  enter(camera) {
+    this.active = true;
+    this.camera.position.copy(camera.getWorldPosition(new THREE.Vector3()));
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+    this.camera.rotation.set(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)), Math.atan2(-direction.x, -direction.z), 0);
+    this.camera.far = camera.far;
+    this.resize();
+
+    // Dragging anywhere on the canvas turns the camera; aborted on exit
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+    const domElement = this.renderer.domElement;
+    let dragging = false;
+    domElement.addEventListener('pointerdown', () => { dragging = true; }, { signal });
+    window.addEventListener('pointerup', () => { dragging = false; }, { signal });
+    window.addEventListener('pointermove', (event) => {
+      if (!dragging) return;
+      this.camera.rotation.y -= event.movementX * LOOK_SPEED;
+      this.camera.rotation.x = THREE.MathUtils.clamp(this.camera.rotation.x - event.movementY * LOOK_SPEED, -1.5, 1.5);
+    }, { signal });
+  }
+
+  exit() {
+    this.active = false;
+    this.listeners?.abort();
+  }
+
+  // Change some of the settings ({ fov, focusDistance, ... })
+  set(changes) {
+    Object.assign(this.settings, changes);
+    this.apply();
+  }
+
+  apply() {
+    const { fov, focusDistance, depthOfField, exposure, filter } = this.settings;
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+
+    // Sharp photos skip the extra depth render entirely
+    this.bokehPass.enabled = depthOfField > 0;
+    this.bokehPass.uniforms.focus.value = focusDistance;
+    this.bokehPass.uniforms.aperture.value = depthOfField * MAX_APERTURE;
+
+    const grading = PHOTO_FILTERS[filter] ?? PHOTO_FILTERS.none;
+    const { uniforms } = this.gradingPass;
+    uniforms.exposure.value = 2 ** exposure;
+    uniforms.saturation.value = grading.saturation;
+    uniforms.contrast.value = grading.contrast;
+    uniforms.tint.value.setRGB(...grading.tint);
+    uniforms.fade.value = grading.fade;
+    uniforms.vignette.value = grading.vignette;
+  }
+
+  resize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.composer.setSize(window.innerWidth, window.innerHeight);
+  }
+
+  // Fly the camera; dt is the real frame time in seconds
+  update(dt) {
+    const input = this.inputManager;
+    const held = (code) => (input.pressed.has(code) ? 1 : 0);
+    const forward = Number(input.isHeld('throttle')) - Number(input.isHeld('brake'));
+    const right = Number(input.isHeld('steerRight')) - Number(input.isHeld('steerLeft'));
+    const up = held('KeyE') - held('KeyQ');
+    const speed = MOVE_SPEED * (held('ShiftLeft') || held('ShiftRight') ? 5 : 1) * dt;
+
+    // Forward follows where the camera looks, up and down stay vertical
+    const move = new THREE.Vector3(right, 0, -forward).applyQuaternion(this.camera.quaternion);
+    move.y += up;
+    this.camera.position.addScaledVector(move, speed);
+  }
+
+  render() {
+    this.composer.render();
+  }
+
+  // A PNG of the current view at up to scale times the canvas resolution
+  // (see captureScale). The canvas is drawn at that size just for this frame,
+  // and toBlob is called right after, before the browser clears the drawing
+  // buffer. Scaled-up shots are already supersampled, so their composer
+  // targets skip multisampling, which would take four times the memory.
+  capture(scale = 1) {
+    const { renderer } = this;
+    const pixelRatio = renderer.getPixelRatio();
+    const gl = renderer.getContext();
+    const maxSide = Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+    const factor = captureScale(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio, scale, maxSide);
+    const samples = factor > 1 ? 0 : VIEW_SAMPLES;
+
+    this.setSamples(samples);
+    renderer.setPixelRatio(pixelRatio * factor);
+    this.composer.setPixelRatio(pixelRatio * factor);
+    this.composer.setSize(window.innerWidth, window.innerHeight);
+    this.composer.render();
+    const blob = new Promise((resolve, reject) => {
+      renderer.domElement.toBlob((result) => (result ? resolve(result) : reject(new Error('The image could not be encoded'))), 'image/png');
+    });
+
+    renderer.setPixelRatio(pixelRatio);
+    this.setSamples(VIEW_SAMPLES);
+    this.resize();
+    return blob;
+  }
+
+  // Multisampling of the composer's targets; they are rebuilt on next use
+  setSamples(samples) {
+    for (const target of [this.composer.renderTarget1, this.composer.renderTarget2]) {
+      if (target.samples === samples) continue;
+      target.samples = samples;
+      target.dispose();
+    }
+  }
+}
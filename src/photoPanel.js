@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+import { DEFAULT_PHOTO_SETTINGS, PHOTO_FILTERS } from './photoMode.js';
+
+const SETTINGS = ['fov', 'focusDistance', 'depthOfField', 'exposure', 'filter'];
+
+// Side panel of photo mode: lens and filter controls act on the PhotoMode
+// directly. Fires { type: 'capture', scale } and 'close' for the game.
+export class PhotoPanel extends THREE.EventDispatcher {
+  constructor(element) {
+    super();
+    this.element = element;
+    this.photoMode = null;
+
+    const control = (name) => element.querySelector(`[data-photo="${name}"]`);
+    this.inputs = Object.fromEntries(SETTINGS.map((key) => [key, control(key)]));
+    this.scaleSelect = control('scale');
+    this.status = control('status');
+
+    for (const [value, { label }] of Object.entries(PHOTO_FILTERS)) {
+      this.inputs.filter.add(new Option(label, value));
+    }
+    for (const [key, input] of Object.entries(this.inputs)) {
+      input.addEventListener('input', () => {
+        const value = key === 'filter' ? input.value : Number(input.value);
+        this.photoMode?.set({ [key]: value });
+      });
+    }
+
+    control('reset').addEventListener('click', () => {
+      this.photoMode?.set(DEFAULT_PHOTO_SETTINGS);
+      this.refresh();
+    });
+    control('capture').addEventListener('click', () => {
+      this.dispatchEvent({ type: 'capture', scale: Number(this.scaleSelect.value) });
+    });
+    control('close').addEventListener('click', () => this.dispatchEvent({ type: 'close' }));
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  show(photoMode) {
+    this.photoMode = photoMode;
+    this.refresh();
+    this.showStatus('');
+    this.element.hidden = false;
+  }
+
+  hide() {
+    this.photoMode = null;
+    this.element.hidden = true;
+  }
+
+  showStatus(text) {
+    this.status.textContent = text;
+  }
+
+  refresh() {
+    for (const [key, input] of Object.entries(this.inputs)) {
+      input.value = this.photoMode.settings[key];
+    }
+  }
+}
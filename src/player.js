@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { DEFAULT_VEHICLE_PARAMS, createVehicleState } from './vehiclePhysics.js';
+import { followGround, stepCar } from './carStep.js';
+import { addCarLights } from './carModel.js';
+import { disposeObject } from './disposeObject.js';
+import { CarRig } from './carRig.js';
+import { CameraController } from './cameraController.js';
+import { addCarColliders, placeCarColliders } from './collision.js';
+
+// One driver: their car and its physics, and the camera that follows it. The
+// simulation owns the world and steps every player through it; index tells
+// players apart in the collision world and picks their input.
+export class Player {
+  constructor(scene, { index = 0, car, handling = {}, headlights, start, terrain, collisionWorld, domElement }) {
+    this.index = index;
+    this.scene = scene;
+    this.terrain = terrain;
+    this.collisionWorld = collisionWorld;
+
+    this.car = car;
+    this.carRig = new CarRig(car);
+    addCarLights(car, headlights);
+    this.headlights = car.userData.lights.headlights;
+    car.rotation.order = 'YXZ'; // Heading first, then pitch and roll
+    scene.add(car);
+
+    // Car physics: tunable handling plus the simulated vehicle state.
+    // vehicleParams is the base handling adjusted for the weather.
+    this.baseVehicleParams = { ...DEFAULT_VEHICLE_PARAMS, ...handling };
+    this.vehicleParams = { ...this.baseVehicleParams };
+    this.vehicle = createVehicleState(start);
+    this.input = { throttle: 0, brake: 0, steer: 0 };
+
+    // Car pose after the latest and the previous simulation step, for interpolation
+    this.pose = { x: start.x, y: 0, z: start.z, heading: start.heading, pitch: 0, roll: 0 };
+    followGround(this.pose, terrain);
+    this.previousPose = { ...this.pose };
+
+    // Sign of the car's travel along z, so the road streams ahead of it
+    this.roadDirection = 1;
+
+    // Circles that stand in for this car, so other players can run into it
+    this.colliders = addCarColliders(collisionWorld, { player: index });
+    this.placeColliders();
+
+    // The camera that follows this car; C cycles player 1's modes
+    this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.camera.position.set(start.x, 5, start.z - 10);
+    this.camera.lookAt(start.x, 0, start.z);
+    this.cameraController = new CameraController(this.camera, domElement, {
+      getGroundHeight: (x, z) => terrain.getHeightAt(x, z)
+    });
+
+    // Part of the window this player's view is drawn into, in CSS pixels
+    this.viewport = { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  setViewport(x, y, width, height) {
+    this.viewport = { x, y, width, height };
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+
+  // One fixed simulation step of dt seconds with the given driving input
+  step(dt, input, weather) {
+    Object.assign(this.previousPose, this.pose);
+
+    // Advance the vehicle dynamics on the current road conditions
+    weather.applyHandling(this.baseVehicleParams, this.vehicleParams);
+    this.input = input;
+    stepCar({
+      vehicle: this.vehicle,
+      pose: this.pose,
+      input,
+      params: this.vehicleParams,
+      dt,
+      collisionWorld: this.collisionWorld,
+      terrain: this.terrain,
+      id: this.index,
+      ignore: this.colliders
+    });
+    this.placeColliders();
+
+    // Roll and steer the wheels, and let the body settle on its springs
+    this.carRig.update(this.vehicle, dt);
+  }
+
+  // Move the car to a vehicle state ({ x, z, heading, speed, ... }) at once
+  reset(state) {
+    Object.assign(this.vehicle, state);
+    Object.assign(this.pose, { x: state.x, z: state.z, heading: state.heading });
+    followGround(this.pose, this.terrain);
+    Object.assign(this.previousPose, this.pose);
+    this.placeColliders();
+  }
+
+  placeColliders() {
+    placeCarColliders(this.colliders, this.vehicle.x, this.vehicle.z, this.vehicle.heading);
+  }
+
+  // Place the car between the last two simulation steps; alpha is 0..1
+  updateTransform(alpha) {
+    const lerp = (key) => THREE.MathUtils.lerp(this.previousPose[key], this.pose[key], alpha);
+    this.car.position.set(lerp('x'), lerp('y'), lerp('z'));
+    this.car.rotation.set(-lerp('pitch'), lerp('heading'), lerp('roll'));
+  }
+
+  // Take the car out of the world again and free it. The headlights are
+  // switched off and moved to parking (a group in the scene) when one is
+  // given, so the scene keeps its number of lights; see createHeadlights.
+  dispose(parking = null) {
+    for (const light of this.headlights) {
+      light.intensity = 0;
+      parking?.add(light, light.target);
+    }
+    this.scene.remove(this.car);
+    disposeObject(this.car);
+    this.colliders.forEach((collider) => this.collisionWorld.remove(collider));
+    this.cameraController.dispose();
+  }
+}
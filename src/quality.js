@@ -0,0 +1,105 @@
+// Graphics quality presets, plus an adaptive mode that moves between them
+// based on how long frames take. Distances are in metres.
+// terrainRadius is in terrain chunks around the car. It grows slower than
+// drawDistance: each chunk samples the ground (and the distance to every road)
+// once per vertex when it's built, and the chunk count grows with its square.
+export const QUALITY_PRESETS = {
+  low: { pixelRatio: 0.75, shadowMapSize: 512, shadowDistance: 30, drawDistance: 300, terrainRadius: 3, vegetationDensity: 0.4 },
+  medium: { pixelRatio: 1, shadowMapSize: 1024, shadowDistance: 50, drawDistance: 500, terrainRadius: 4, vegetationDensity: 0.7 },
+  high: { pixelRatio: 1.5, shadowMapSize: 2048, shadowDistance: 70, drawDistance: 800, terrainRadius: 5, vegetationDensity: 1 },
+  ultra: { pixelRatio: 2, shadowMapSize: 4096, shadowDistance: 100, drawDistance: 1000, terrainRadius: 6, vegetationDensity: 1 }
+};
+
+export const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS);
+
+// Steps quality down when the average frame time is over budget and back up
+// when there is plenty of headroom. Changes wait for a full window of fresh
+// samples, and stepping up waits longer, so it doesn't flip back and forth.
+export class AdaptiveQuality {
+  constructor({
+    level = 'high',
+    targetFrameTime = 1 / 55,
+    windowSize = 60,       // Frames averaged before deciding
+    upgradeDelay = 5,      // Seconds of headroom needed before stepping up
+    maxFrameTime = 0.25    // Longer frames (tab switches, hitches) are ignored
+  } = {}) {
+    this.index = Math.max(0, QUALITY_LEVELS.indexOf(level));
+    this.targetFrameTime = targetFrameTime;
+    this.windowSize = windowSize;
+    this.upgradeDelay = upgradeDelay;
+    this.maxFrameTime = maxFrameTime;
+    this.samples = [];
+    this.headroomTime = 0;
+  }
+
+  get level() {
+    return QUALITY_LEVELS[this.index];
+  }
+
+  // Feed one frame time in seconds. Returns the new level when it changes,
+  // otherwise null.
+  update(frameTime) {
+    if (frameTime <= 0 || frameTime > this.maxFrameTime) return null;
+    this.samples.push(frameTime);
+    if (this.samples.length < this.windowSize) return null;
+
+    const average = this.samples.reduce((sum, time) => sum + time, 0) / this.samples.length;
+    this.samples.length = 0;
+    const windowTime = average * this.windowSize;
+
+    if (average > this.targetFrameTime * 1.2 && this.index > 0) {
+      this.headroomTime = 0;
+      return this.step(-1);
+    }
+    if (average < this.targetFrameTime * 0.7 && this.index < QUALITY_LEVELS.length - 1) {
+      this.headroomTime += windowTime;
+      if (this.headroomTime >= this.upgradeDelay) {
+        this.headroomTime = 0;
+        return this.step(1);
+      }
+      return null;
+    }
+    this.headroomTime = 0;
+    return null;
+  }
+
+  step(direction) {
+    this.index += direction;
+    return this.level;
+  }
+}
+
+// FPS, draw calls and triangles from renderer.info. The renderer should have
+// info.autoReset off and be reset once per frame, so the numbers cover every
+// render call in the frame (main view and minimap alike).
+export class StatsOverlay {
+  constructor(element) {
+    this.element = element;
+    this.frameTime = 1 / 60;
+    this.elapsed = 0;
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+  }
+
+  update(frameTime, info, level) {
+    // Smooth the frame time and only redraw the text a few times a second
+    this.frameTime += (frameTime - this.frameTime) * 0.05;
+    this.elapsed += frameTime;
+    if (!this.visible || this.elapsed < 0.25) return;
+    this.elapsed = 0;
+
+    const fps = Math.round(1 / this.frameTime);
+    const ms = (this.frameTime * 1000).toFixed(1);
+    this.element.textContent =
+      `${fps} FPS (${ms} ms)\n` +
+      `Draw calls: ${info.render.calls}\n` +
+      `Triangles: ${info.render.triangles.toLocaleString()}\n` +
+      `Quality: ${level}`;
+  }
+}
@@ -0,0 +1,37 @@
+// Small, fast seeded PRNG (mulberry32). Returns a function that yields
+// numbers in [0, 1), just like Math.random, but repeatable for a given seed.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Turn any string into a 32-bit seed (FNV-1a)
+export function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seed for one subsystem, so adding draws to one generator never shifts another
+export function deriveSeed(seed, name) {
+  return hashString(`${seed}:${name}`);
+}
+
+// Read ?seed= from a query string. Numbers are used as is, any other text is
+// hashed; without the parameter a fresh random seed is picked.
+export function getSeedFromQuery(search) {
+  const value = new URLSearchParams(search).get('seed');
+  if (value === null || value === '') {
+    return Math.floor(Math.random() * 1e9);
+  }
+  return /^\d+$/.test(value) ? Number(value) >>> 0 : hashString(value);
+}
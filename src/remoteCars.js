@@ -0,0 +1,60 @@
+import { createCar } from './carModel.js';
+import { CarRig } from './carRig.js';
+import { addCarColliders, placeCarColliders } from './collision.js';
+import { disposeObject } from './disposeObject.js';
+
+// Paint of remote cars, picked by their relay id
+const COLORS = [0x2266ff, 0xffaa00, 0x22aa44, 0xaa33cc, 0x00bbbb, 0xeeeeee];
+
+// Scene objects and colliders for the other drivers in a networked drive.
+// Cars come and go with the ids in the list given to update.
+export class RemoteCars {
+  constructor(scene, { terrain, collisionWorld }) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.collisionWorld = collisionWorld;
+    this.active = new Map(); // Relay id -> { object, rig, colliders }
+  }
+
+  add(id) {
+    const object = createCar({ color: COLORS[id % COLORS.length] });
+    object.rotation.order = 'YXZ';
+    this.scene.add(object);
+    const colliders = addCarColliders(this.collisionWorld, { remote: id });
+    const entry = { object, rig: new CarRig(object), colliders };
+    this.active.set(id, entry);
+    return entry;
+  }
+
+  remove(id) {
+    const entry = this.active.get(id);
+    disposeObject(entry.object);
+    this.scene.remove(entry.object);
+    entry.colliders.forEach((collider) => this.collisionWorld.remove(collider));
+    this.active.delete(id);
+  }
+
+  // cars: { id, x, z, heading, speed, latest, ... } of each remote car, as
+  // NetworkClient.getRemoteCars gives them. The car is drawn where it was a
+  // moment ago, but its colliders go where it latest was, so the local car
+  // hits it where the other driver sees it.
+  update(cars, dt) {
+    const ids = new Set(cars.map((car) => car.id));
+    for (const id of [...this.active.keys()]) {
+      if (!ids.has(id)) this.remove(id);
+    }
+
+    for (const car of cars) {
+      const entry = this.active.get(car.id) ?? this.add(car.id);
+      const { x, z, heading } = car.latest ?? car;
+      placeCarColliders(entry.colliders, x, z, heading);
+      entry.object.position.set(car.x, this.terrain.getHeightAt(car.x, car.z), car.z);
+      entry.object.rotation.set(0, car.heading, 0);
+      entry.rig.update(car, dt);
+    }
+  }
+
+  dispose() {
+    for (const id of [...this.active.keys()]) this.remove(id);
+  }
+}
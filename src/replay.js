@@ -0,0 +1,311 @@
+import { followGround, stepCar } from './carStep.js';
+
+// Replays store, for every simulation tick, the driver's input and where the
+// car ended up. Inputs are quantized to bytes before the physics ever sees
+// them (see quantizeInput), so playing the inputs back through stepCar from
+// the same start state reproduces the drive exactly. Transforms are kept
+// too, so a ghost or replay camera doesn't have to re-run the physics.
+export const REPLAY_VERSION = 1;
+
+const MAGIC = 'CDRP';
+
+// Transform precision: centimetres and 1/10000 rad
+const POSITION_SCALE = 100;
+const HEADING_SCALE = 10000;
+
+// Handling fields that change during a drive (the weather scales them)
+const LIVE_PARAMS = ['tireGrip', 'brakeForce', 'rollingResistance'];
+
+// Snap input to what a replay can store: throttle and brake in 1/255 steps,
+// steer in 1/127 steps
+export function quantizeInput({ throttle, brake, steer }) {
+  return {
+    throttle: Math.round(throttle * 255) / 255,
+    brake: Math.round(brake * 255) / 255,
+    steer: Math.round(steer * 127) / 127
+  };
+}
+
+// Collects ticks into growing typed arrays. Call record() once per
+// simulation step, after the step, with the input the step used.
+export class ReplayRecorder {
+  constructor({ seed, carId, vehicle, params, timestep = 1 / 60, maxFrames = 60 * 60 * 30 }) {
+    this.header = {
+      version: REPLAY_VERSION,
+      timestep,
+      seed,
+      carId,
+      start: { ...vehicle },
+      params: { ...params },
+      paramChanges: []
+    };
+    this.maxFrames = maxFrames;
+    this.frameCount = 0;
+    this.inputs = new Int16Array(3 * 1024);
+    this.transforms = new Int32Array(3 * 1024);
+    this.lastParams = pickLiveParams(params);
+  }
+
+  get full() {
+    return this.frameCount >= this.maxFrames;
+  }
+
+  record(input, vehicle, params) {
+    if (this.full) return;
+    if (this.frameCount * 3 >= this.inputs.length) {
+      this.inputs = grow(this.inputs);
+      this.transforms = grow(this.transforms);
+    }
+
+    // Handling changes take effect from this frame's step on
+    const live = pickLiveParams(params);
+    if (LIVE_PARAMS.some((key) => live[key] !== this.lastParams[key])) {
+      this.header.paramChanges.push({ frame: this.frameCount, params: live });
+      this.lastParams = live;
+    }
+
+    const i = this.frameCount * 3;
+    this.inputs[i] = Math.round(input.throttle * 255);
+    this.inputs[i + 1] = Math.round(input.brake * 255);
+    this.inputs[i + 2] = Math.round(input.steer * 127);
+    this.transforms[i] = Math.round(vehicle.x * POSITION_SCALE);
+    this.transforms[i + 1] = Math.round(vehicle.z * POSITION_SCALE);
+    this.transforms[i + 2] = Math.round(vehicle.heading * HEADING_SCALE);
+    this.frameCount++;
+  }
+
+  // The recording so far as a replay object
+  finish() {
+    return {
+      ...structuredClone(this.header),
+      frameCount: this.frameCount,
+      inputs: this.inputs.slice(0, this.frameCount * 3),
+      transforms: this.transforms.slice(0, this.frameCount * 3)
+    };
+  }
+}
+
+function pickLiveParams(params) {
+  return Object.fromEntries(LIVE_PARAMS.map((key) => [key, params[key]]));
+}
+
+function grow(array) {
+  const bigger = new array.constructor(array.length * 2);
+  bigger.set(array);
+  return bigger;
+}
+
+// Input of one frame, as the physics saw it
+export function frameInput(replay, frame) {
+  const i = frame * 3;
+  return {
+    throttle: replay.inputs[i] / 255,
+    brake: replay.inputs[i + 1] / 255,
+    steer: replay.inputs[i + 2] / 127
+  };
+}
+
+// Car position after one frame, in metres and radians
+export function frameTransform(replay, frame) {
+  const i = frame * 3;
+  return {
+    x: replay.transforms[i] / POSITION_SCALE,
+    z: replay.transforms[i + 1] / POSITION_SCALE,
+    heading: replay.transforms[i + 2] / HEADING_SCALE
+  };
+}
+
+// Run the recorded inputs through the physics again from the recorded start,
+// pushed out of the obstacles in collisionWorld the way Player.step does it.
+// Returns the vehicle state after every frame. Obstacles that don't move
+// (trees, mountains, the world edge) are hit again just as in the drive; AI
+// cars aren't recorded, so a drive that hit one parts ways there.
+export function simulateReplay(replay, baseParams, { collisionWorld = null, terrain = null } = {}) {
+  const vehicle = { ...replay.start };
+  const pose = { x: vehicle.x, y: 0, z: vehicle.z, heading: vehicle.heading, pitch: 0, roll: 0 };
+  if (terrain) followGround(pose, terrain);
+  const params = { ...baseParams, ...replay.params };
+  const changes = [...replay.paramChanges];
+  const states = [];
+  for (let frame = 0; frame < replay.frameCount; frame++) {
+    while (changes.length && changes[0].frame === frame) {
+      Object.assign(params, changes.shift().params);
+    }
+    stepCar({
+      vehicle,
+      pose,
+      input: frameInput(replay, frame),
+      params,
+      dt: replay.timestep,
+      collisionWorld,
+      terrain,
+      id: 'replay'
+    });
+    states.push({ ...vehicle });
+  }
+  return states;
+}
+
+// Binary file layout (little-endian):
+//   'CDRP', u16 version, u32 header byte length, header JSON (UTF-8),
+//   u32 frame count, then per frame: u8 throttle, u8 brake, i8 steer and the
+//   change in x, z and heading since the last frame as zigzag varints.
+export function encodeReplay(replay) {
+  const { inputs, transforms, frameCount, ...header } = replay;
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const bytes = [];
+  const pushU32 = (value) => bytes.push(value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF);
+  const pushVarint = (value) => {
+    let zigzag = value >= 0 ? value * 2 : -value * 2 - 1;
+    while (zigzag >= 0x80) {
+      bytes.push((zigzag % 0x80) | 0x80);
+      zigzag = Math.floor(zigzag / 0x80);
+    }
+    bytes.push(zigzag);
+  };
+
+  for (const char of MAGIC) bytes.push(char.charCodeAt(0));
+  bytes.push(REPLAY_VERSION & 0xFF, REPLAY_VERSION >> 8);
+  pushU32(headerBytes.length);
+  bytes.push(...headerBytes);
+  pushU32(frameCount);
+
+  const previous = [0, 0, 0];
+  for (let i = 0; i < frameCount * 3; i += 3) {
+    bytes.push(inputs[i], inputs[i + 1], inputs[i + 2] & 0xFF);
+    for (let k = 0; k < 3; k++) {
+      pushVarint(transforms[i + k] - previous[k]);
+      previous[k] = transforms[i + k];
+    }
+  }
+  return new Uint8Array(bytes).buffer;
+}
+
+export function decodeReplay(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+  const need = (count) => {
+    if (offset + count > bytes.length) throw new Error('Replay file is truncated');
+  };
+  const readU32 = () => {
+    need(4);
+    const value = (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    offset += 4;
+    return value;
+  };
+  const readVarint = () => {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      need(1);
+      const byte = bytes[offset++];
+      value += (byte & 0x7F) * scale;
+      if (byte < 0x80) break;
+      scale *= 0x80;
+    }
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  };
+
+  need(6);
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic !== MAGIC) throw new Error('Not a replay file');
+  const version = bytes[4] | (bytes[5] << 8);
+  if (version !== REPLAY_VERSION) throw new Error(`Replay version ${version} is not supported`);
+  offset = 6;
+
+  const headerLength = readU32();
+  need(headerLength);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + headerLength)));
+  offset += headerLength;
+
+  const frameCount = readU32();
+  const inputs = new Int16Array(frameCount * 3);
+  const transforms = new Int32Array(frameCount * 3);
+  const previous = [0, 0, 0];
+  for (let i = 0; i < frameCount * 3; i += 3) {
+    need(3);
+    inputs[i] = bytes[offset];
+    inputs[i + 1] = bytes[offset + 1];
+    inputs[i + 2] = (bytes[offset + 2] << 24) >> 24; // Sign-extend the steer byte
+    offset += 3;
+    for (let k = 0; k < 3; k++) {
+      previous[k] += readVarint();
+      transforms[i + k] = previous[k];
+    }
+  }
+
+  return { ...header, frameCount, inputs, transforms };
+}
+
+// Moves through a replay in time. frame is fractional, so transforms are
+// interpolated between ticks; speed scales playback (negative rewinds).
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.frame = 0;
+    this.speed = 1;
+    this.playing = false;
+  }
+
+  get duration() {
+    return this.replay.frameCount * this.replay.timestep;
+  }
+
+  get time() {
+    return this.frame * this.replay.timestep;
+  }
+
+  get finished() {
+    return this.frame >= this.replay.frameCount - 1;
+  }
+
+  play() {
+    if (this.finished) this.frame = 0;
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  // Jump to a time in seconds
+  seek(time) {
+    this.frame = Math.max(0, Math.min(this.replay.frameCount - 1, time / this.replay.timestep));
+  }
+
+  update(dt) {
+    if (!this.playing) return;
+    this.seek(this.time + dt * this.speed);
+    if (this.finished && this.speed > 0) this.playing = false;
+  }
+
+  // Speed in m/s around the current frame, from the recorded positions
+  getSpeed() {
+    const last = this.replay.frameCount - 1;
+    if (last < 1) return 0;
+    const index = Math.min(Math.floor(this.frame), last - 1);
+    const a = frameTransform(this.replay, index);
+    const b = frameTransform(this.replay, index + 1);
+    return Math.hypot(b.x - a.x, b.z - a.z) / this.replay.timestep;
+  }
+
+  // Interpolated { x, z, heading } at the current frame
+  getTransform() {
+    const last = this.replay.frameCount - 1;
+    if (last < 0) return { ...this.replay.start };
+    const index = Math.min(Math.floor(this.frame), last);
+    const a = frameTransform(this.replay, index);
+    const b = frameTransform(this.replay, Math.min(index + 1, last));
+    const t = this.frame - index;
+    return {
+      x: a.x + (b.x - a.x) * t,
+      z: a.z + (b.z - a.z) * t,
+      heading: a.heading + (b.heading - a.heading) * t
+    };
+  }
+}
@@ -0,0 +1,67 @@
+import * as THREE from 'three';
+import { formatDuration } from './hud.js';
+
+// Playback bar for watching a replay: play/pause, scrubbing and speed act on
+// the ReplayPlayer directly. Fires 'race', 'export', 'close' and
+// { type: 'import', file } for the game to handle.
+export class ReplayPanel extends THREE.EventDispatcher {
+  constructor(element) {
+    super();
+    this.element = element;
+    this.player = null;
+
+    const control = (name) => element.querySelector(`[data-replay="${name}"]`);
+    this.playButton = control('play');
+    this.scrub = control('scrub');
+    this.timeLabel = control('time');
+    this.speedSelect = control('speed');
+    this.status = control('status');
+
+    this.playButton.addEventListener('click', () => this.player?.toggle());
+    this.scrub.addEventListener('input', () => this.player?.seek(Number(this.scrub.value)));
+    this.speedSelect.addEventListener('change', () => {
+      if (this.player) this.player.speed = Number(this.speedSelect.value);
+    });
+
+    for (const type of ['race', 'export', 'close']) {
+      control(type).addEventListener('click', () => this.dispatchEvent({ type }));
+    }
+    const fileInput = control('file');
+    control('import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.dispatchEvent({ type: 'import', file: fileInput.files[0] });
+      fileInput.value = '';
+    });
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  show(player) {
+    this.player = player;
+    player.speed = Number(this.speedSelect.value);
+    this.scrub.max = player.duration;
+    this.showStatus('');
+    this.element.hidden = false;
+    this.update();
+  }
+
+  hide() {
+    this.player = null;
+    this.element.hidden = true;
+  }
+
+  showStatus(text) {
+    this.status.textContent = text;
+  }
+
+  // Keep the controls in step with the player; call once per frame
+  update() {
+    if (!this.player) return;
+    const { time, duration, playing } = this.player;
+    this.playButton.textContent = playing ? 'Pause' : 'Play';
+    this.scrub.value = time;
+    this.timeLabel.textContent = `${formatDuration(time)} / ${formatDuration(duration)}`;
+  }
+}
@@ -0,0 +1,226 @@
+import * as THREE from 'three';
+import { disposeObject } from './disposeObject.js';
+import { createRandom, deriveSeed } from './random.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Spacing of the main road's control points along z
+export const MAIN_ROAD_SPACING = 25;
+
+// The endless main road. Its bends come from a few layered sine waves with
+// seeded frequencies and phases; offsetAt(0) is always 0 so the car starts on it.
+export function createMainRoad(seed, { width = 20 } = {}) {
+  const random = createRandom(deriveSeed(seed, 'main-road'));
+  const waves = [
+    { amplitude: 30, frequency: 0.25 + random() * 0.1, phase: random() * Math.PI * 2 },
+    { amplitude: 12, frequency: 0.7 + random() * 0.2, phase: random() * Math.PI * 2 }
+  ];
+
+  // Lateral offset of the k-th control point
+  const offsetAt = (k) => waves.reduce(
+    (sum, wave) => sum + wave.amplitude * (Math.sin(k * wave.frequency + wave.phase) - Math.sin(wave.phase)),
+    0
+  );
+
+  const controlPoint = (k) => new THREE.Vector3(offsetAt(k), 0, k * MAIN_ROAD_SPACING);
+
+  // Curve through the control points around k. Terrain asks for the road
+  // centre at every vertex it builds, so recent curves are kept.
+  const curves = new Map();
+  const curveAt = (k) => {
+    let curve = curves.get(k);
+    if (!curve) {
+      if (curves.size >= 256) curves.clear();
+      curve = new THREE.CatmullRomCurve3([k - 1, k, k + 1, k + 2].map(controlPoint), false, 'centripetal');
+      curves.set(k, curve);
+    }
+    return curve;
+  };
+
+  // Centre of the road at a given z, interpolated like the road pieces are
+  const centerXAt = (z) => {
+    const k = Math.floor(z / MAIN_ROAD_SPACING);
+    const t = z / MAIN_ROAD_SPACING - k;
+    return curveAt(k).getPoint((1 + t) / 3).x;
+  };
+
+  // Approximate distance from (x, z) to the centre line. Works everywhere,
+  // including stretches whose pieces have not been streamed in yet.
+  const distanceTo = (x, z) => {
+    const step = 0.5;
+    const slope = (centerXAt(z + step) - centerXAt(z - step)) / (2 * step);
+    return Math.abs(x - centerXAt(z)) / Math.sqrt(1 + slope * slope);
+  };
+
+  return { width, controlPoint, centerXAt, distanceTo };
+}
+
+// Build a flat strip that follows the sampled centre line, shifted sideways by offset
+function createRibbonGeometry(points, sides, offset, halfWidth) {
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  let distance = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    if (i > 0) distance += points[i].distanceTo(points[i - 1]);
+    const center = points[i].clone().addScaledVector(sides[i], offset);
+    const left = center.clone().addScaledVector(sides[i], halfWidth);
+    const right = center.clone().addScaledVector(sides[i], -halfWidth);
+    positions.push(left.x, left.y, left.z, right.x, right.y, right.z);
+    uvs.push(0, distance, 1, distance);
+
+    if (i > 0) {
+      const a = (i - 1) * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Distance from (x, z) to the segment a-b on the ground plane
+function distanceToSegment(x, z, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  let t = lengthSq > 0 ? ((x - a.x) * dx + (z - a.z) * dz) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(x - (a.x + dx * t), z - (a.z + dz * t));
+}
+
+// A set of spline roads and the junctions where they meet. Roads can be added
+// and removed at any time, which lets the streamed main road share the network
+// with fixed side roads. When a mainRoad is given, distance queries also
+// cover it beyond the pieces currently in the scene.
+export class RoadNetwork {
+  constructor(scene, { mainRoad = null } = {}) {
+    this.mainRoad = mainRoad;
+
+    this.group = new THREE.Group();
+    this.group.position.y = 0.05; // Just above the flattened ground
+    scene.add(this.group);
+
+    this.roads = new Set();
+    this.junctions = [];
+
+    this.roadMaterial = new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      roughness: 0.8
+    });
+    this.markingsMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
+  }
+
+  // points are THREE.Vector3 control points. tStart/tEnd limit the built part
+  // of the curve, so neighbouring pieces can share control points and join smoothly.
+  // Pieces of one continuous road pass connect: false so their seams are not junctions.
+  addRoad(points, { width = 20, tStart = 0, tEnd = 1, samplesPerUnit = 0.5, connect = true } = {}) {
+    const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+    const length = curve.getLength() * (tEnd - tStart);
+    const sampleCount = Math.max(2, Math.ceil(length * samplesPerUnit));
+
+    // Sample the centre line together with a sideways direction for each point
+    const samples = [];
+    const sides = [];
+    for (let i = 0; i <= sampleCount; i++) {
+      const t = tStart + (tEnd - tStart) * (i / sampleCount);
+      samples.push(curve.getPoint(t));
+      const tangent = curve.getTangent(t);
+      sides.push(new THREE.Vector3().crossVectors(UP, tangent).normalize());
+    }
+
+    const mesh = new THREE.Group();
+
+    const surface = new THREE.Mesh(createRibbonGeometry(samples, sides, 0, width / 2), this.roadMaterial);
+    surface.receiveShadow = true;
+    mesh.add(surface);
+
+    // Centre line and edge lines, slightly above the road
+    for (const offset of [0, width / 2 - 0.8, -(width / 2 - 0.8)]) {
+      const lineWidth = offset === 0 ? 0.25 : 0.15;
+      const line = new THREE.Mesh(createRibbonGeometry(samples, sides, offset, lineWidth), this.markingsMaterial);
+      line.position.y = 0.01;
+      mesh.add(line);
+    }
+
+    const bounds = new THREE.Box3().setFromPoints(samples).expandByScalar(width / 2);
+    const road = { curve, width, samples, bounds, mesh, tStart, tEnd };
+    this.roads.add(road);
+    this.group.add(mesh);
+
+    // Endpoints that land on another road become junctions
+    const ends = connect ? [samples[0], samples[samples.length - 1]] : [];
+    for (const end of ends) {
+      for (const other of this.roads) {
+        if (other !== road && this.distanceToCenterLine(other, end.x, end.z) < other.width / 2) {
+          this.addJunction(end, Math.max(width, other.width) * 0.6, [road, other]);
+        }
+      }
+    }
+
+    return road;
+  }
+
+  removeRoad(road) {
+    if (!this.roads.delete(road)) return;
+    this.group.remove(road.mesh);
+    road.mesh.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+    });
+  }
+
+  // A round patch of asphalt that covers the seam where roads meet
+  addJunction(position, radius, roads) {
+    const geometry = new THREE.CircleGeometry(radius, 24);
+    const mesh = new THREE.Mesh(geometry, this.roadMaterial);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(position.x, position.y + 0.005, position.z);
+    mesh.receiveShadow = true;
+    this.group.add(mesh);
+
+    const junction = { position: position.clone(), radius, roads, mesh };
+    this.junctions.push(junction);
+    return junction;
+  }
+
+  distanceToCenterLine(road, x, z) {
+    let best = Infinity;
+    for (let i = 1; i < road.samples.length; i++) {
+      best = Math.min(best, distanceToSegment(x, z, road.samples[i - 1], road.samples[i]));
+    }
+    return best;
+  }
+
+  // Distance from (x, z) to the nearest road edge; negative when on a road
+  distanceToRoad(x, z) {
+    let best = this.mainRoad ? this.mainRoad.distanceTo(x, z) - this.mainRoad.width / 2 : Infinity;
+    for (const road of this.roads) {
+      const bounds = road.bounds;
+      // Skip roads whose bounding box is already further than the best hit
+      const outside = Math.max(bounds.min.x - x, x - bounds.max.x, bounds.min.z - z, z - bounds.max.z, 0);
+      if (outside > best) continue;
+      best = Math.min(best, this.distanceToCenterLine(road, x, z) - road.width / 2);
+    }
+    for (const junction of this.junctions) {
+      best = Math.min(best, Math.hypot(x - junction.position.x, z - junction.position.z) - junction.radius);
+    }
+    return best;
+  }
+
+  // True when (x, z) is at least margin away from every road
+  isClear(x, z, margin = 0) {
+    return this.distanceToRoad(x, z) > margin;
+  }
+
+  dispose() {
+    disposeObject(this.group);
+    this.group.removeFromParent();
+    this.roads.clear();
+    this.junctions = [];
+  }
+}
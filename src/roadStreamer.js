@@ -0,0 +1,54 @@
+// Keeps a fixed window of road segments around the car. Segments that leave
+// the window are handed back to removeSegment, missing ones are built with
+// createSegment, so the number of road objects never grows with distance driven.
+export class RoadStreamer {
+  constructor({ segmentLength = 100, segmentsAhead = 5, segmentsBehind = 2, createSegment, removeSegment }) {
+    this.segmentLength = segmentLength;
+    this.segmentsAhead = segmentsAhead;
+    this.segmentsBehind = segmentsBehind;
+    this.createSegment = createSegment;
+    this.removeSegment = removeSegment;
+
+    // Active segments keyed by their index along the z axis
+    this.segments = new Map();
+  }
+
+  // direction is the sign of the car's travel along z; "ahead" flips with it
+  update(z, direction = 1) {
+    this.updateAround([{ z, direction }]);
+  }
+
+  // Keep a window around each of several cars (one per player)
+  updateAround(cars) {
+    const windows = cars.map(({ z, direction = 1 }) => {
+      const current = Math.floor(z / this.segmentLength);
+      const ahead = direction < 0 ? this.segmentsBehind : this.segmentsAhead;
+      const behind = direction < 0 ? this.segmentsAhead : this.segmentsBehind;
+      return { first: current - behind, last: current + ahead };
+    });
+
+    // Recycle segments that fell out of range
+    for (const [index, segment] of this.segments) {
+      if (!windows.some(({ first, last }) => index >= first && index <= last)) {
+        this.removeSegment(segment, index);
+        this.segments.delete(index);
+      }
+    }
+
+    // Fill in any gaps in the windows
+    for (const { first, last } of windows) {
+      for (let index = first; index <= last; index++) {
+        if (!this.segments.has(index)) {
+          this.segments.set(index, this.createSegment(index, this.segmentLength));
+        }
+      }
+    }
+  }
+
+  dispose() {
+    for (const [index, segment] of this.segments) {
+      this.removeSegment(segment, index);
+    }
+    this.segments.clear();
+  }
+}
@@ -0,0 +1,96 @@
+import { createRandom, deriveSeed } from './random.js';
+import { createNoise2D, fbm } from './noise.js';
+
+// Decide where mountains go, from the world seed: the same seed always gives
+// the same layout. isClear(x, z, margin) keeps them off roads.
+export function generateScenery(seed, { isClear, mountainCount = 10 }) {
+  const mountainRandom = createRandom(deriveSeed(seed, 'mountains'));
+
+  const mountains = [];
+  for (let i = 0; i < mountainCount; i++) {
+    const x = mountainRandom() * 400 - 200;
+    const z = mountainRandom() * 400 - 200;
+    const rotation = mountainRandom() * Math.PI;
+
+    // Keep the mountain's base well away from every road
+    if (isClear(x, z, 35)) {
+      mountains.push({ x, z, rotation });
+    }
+  }
+
+  return { mountains };
+}
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+// Placement rules for each kind of vegetation. density(forest) is plants per
+// square metre for a forest value of 0 (open meadow) to 1 (deep forest), and
+// never exceeds maxDensity. collider is the trunk radius at scale 1, if the
+// car should hit it. margin keeps the plant that far from any road.
+export const VEGETATION_SPECIES = {
+  pine: {
+    maxDensity: 0.012, density: (forest) => 0.012 * forest * forest,
+    margin: 3, scale: [0.8, 1.6], collider: 0.45
+  },
+  broadleaf: {
+    maxDensity: 0.006, density: (forest) => 0.006 * forest,
+    margin: 4, scale: [0.8, 1.4], collider: 0.55
+  },
+  bush: {
+    maxDensity: 0.008, density: (forest) => 0.002 + 0.006 * forest,
+    margin: 2, scale: [0.6, 1.4], collider: 0
+  },
+  rock: {
+    maxDensity: 0.0012, density: () => 0.0012,
+    margin: 3, scale: [0.5, 2], collider: 0.7
+  },
+  grass: {
+    maxDensity: 0.03, density: (forest) => 0.03 * (1 - 0.6 * forest),
+    margin: 1, scale: [0.7, 1.3], collider: 0
+  }
+};
+
+// Seeded vegetation placement for square cells of the world. Each cell has
+// its own random stream, so a cell always gets the same plants no matter in
+// which order cells are visited. Lower density keeps a subset of the plants
+// placed at full density, so quality changes thin the forest rather than
+// reshuffling it.
+export function createVegetationPlacer(seed, { isClear, cellSize = 50, forestScale = 250, species = VEGETATION_SPECIES }) {
+  const forestNoise = createNoise2D(deriveSeed(seed, 'forest'));
+
+  // Density map: 0 in open country, 1 in the middle of a forest
+  const forestAt = (x, z) => smoothstep(-0.05, 0.25, fbm(forestNoise, x / forestScale, z / forestScale));
+
+  // Plants in cell (cx, cz) as { [species]: [{ x, z, rotation, scale, shade }] }
+  const placeCell = (cx, cz, density = 1) => {
+    const random = createRandom(deriveSeed(seed, `vegetation:${cx},${cz}`));
+    const plants = {};
+
+    for (const [name, rule] of Object.entries(species)) {
+      const list = [];
+      const candidates = Math.round(rule.maxDensity * cellSize * cellSize);
+      for (let i = 0; i < candidates; i++) {
+        // Draw every value up front so rejected candidates don't shift the stream
+        const x = (cx + random()) * cellSize;
+        const z = (cz + random()) * cellSize;
+        const rotation = random() * Math.PI * 2;
+        const scale = rule.scale[0] + random() * (rule.scale[1] - rule.scale[0]);
+        const shade = random();
+        const accept = random();
+        const keep = random();
+
+        if (keep >= density) continue;
+        if (accept * rule.maxDensity >= rule.density(forestAt(x, z))) continue;
+        if (!isClear(x, z, rule.margin)) continue;
+        list.push({ x, z, rotation, scale, shade });
+      }
+      plants[name] = list;
+    }
+    return plants;
+  };
+
+  return { forestAt, placeCell };
+}
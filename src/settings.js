@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+import { CAMERA_MODES } from './cameraController.js';
+import { SPEED_UNITS } from './hud.js';
+import { QUALITY_LEVELS } from './quality.js';
+import { defaultSettings, loadSettings, saveSettings, validateSetting } from './settingsStorage.js';
+
+// 'auto' adapts the quality level to the frame rate
+export const QUALITY_OPTIONS = ['auto', ...QUALITY_LEVELS];
+
+// How each setting is checked (see settingsStorage.js)
+const SCHEMA = {
+  masterVolume: { type: 'number', min: 0, max: 1, default: 0.8 },
+  engineVolume: { type: 'number', min: 0, max: 1, default: 1 },
+  ambientVolume: { type: 'number', min: 0, max: 1, default: 1 },
+  trafficDensity: { type: 'number', min: 0, max: 1, default: 0.5 },
+  splitScreen: { type: 'choice', options: ['off', 'on'], default: 'off' },
+  quality: { type: 'choice', options: QUALITY_OPTIONS, default: 'auto' },
+  cameraMode: { type: 'choice', options: CAMERA_MODES, default: 'chase' },
+  units: { type: 'choice', options: Object.keys(SPEED_UNITS), default: 'kmh' }
+};
+
+export const DEFAULT_SETTINGS = defaultSettings(SCHEMA);
+
+// Current settings, saved on every change. Fires { type: 'change', key, value }
+// so the game can apply each setting as soon as it's changed.
+export class SettingsStore extends THREE.EventDispatcher {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    super();
+    this.storage = storage;
+    this.values = loadSettings(SCHEMA, storage);
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    const valid = validateSetting(SCHEMA, key, value);
+    if (valid === undefined || valid === this.values[key]) return;
+    this.values[key] = valid;
+    saveSettings(this.values, this.storage);
+    this.dispatchEvent({ type: 'change', key, value: valid });
+  }
+
+  reset() {
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+      this.set(key, value);
+    }
+  }
+}
@@ -0,0 +1,42 @@
+// Checking, defaulting and saving player settings in localStorage, for
+// SettingsStore. Storage is passed in, so any getItem/setItem object will do.
+// A schema describes each setting:
+//   { type: 'number', min, max, default } must be a finite number, clamped to min..max
+//   { type: 'choice', options, default } must be one of options
+// Anything that isn't a valid value falls back to the default.
+const STORAGE_KEY = 'chill-drive.settings';
+
+export function defaultSettings(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([key, rule]) => [key, rule.default]));
+}
+
+// Valid value for one setting, or undefined if the key or value is no good
+export function validateSetting(schema, key, value) {
+  const rule = schema[key];
+  if (!rule) return undefined;
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+    return Math.max(rule.min, Math.min(rule.max, value));
+  }
+  return rule.options.includes(value) ? value : undefined;
+}
+
+// A complete, valid settings object from anything (unknown keys are dropped)
+export function validateSettings(schema, raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(
+    Object.keys(schema).map((key) => [key, validateSetting(schema, key, source[key]) ?? schema[key].default])
+  );
+}
+
+export function loadSettings(schema, storage = globalThis.localStorage) {
+  try {
+    return validateSettings(schema, JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null'));
+  } catch {
+    return defaultSettings(schema);
+  }
+}
+
+export function saveSettings(settings, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,69 @@
+// Fixed-timestep game loop. Real frame time is fed into an accumulator and
+// the simulation always advances in steps of exactly `timestep` seconds, so
+// results do not depend on the display's refresh rate. render() receives the
+// fraction of a step left in the accumulator for interpolating between the
+// previous and current simulation states.
+export class SimulationLoop {
+  constructor({ step, render, timestep = 1 / 60, maxFrameTime = 0.25 }) {
+    this.step = step;
+    this.render = render;
+    this.timestep = timestep;
+    this.maxFrameTime = maxFrameTime; // Avoids a spiral of catch-up steps after a stall
+
+    this.accumulator = 0;
+    this.timeScale = 1;
+    this.paused = false;
+    this.lastTime = null;
+    this.frameId = null;
+  }
+
+  start() {
+    const frame = (time) => {
+      this.frameId = requestAnimationFrame(frame);
+      const frameTime = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+      this.lastTime = time;
+      this.advance(frameTime);
+    };
+    this.frameId = requestAnimationFrame(frame);
+  }
+
+  stop() {
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.lastTime = null;
+  }
+
+  // Run as many fixed steps as frameTime (in seconds) allows, then render.
+  // Returns the number of steps taken. Called by start(), or directly when
+  // driving the simulation by hand.
+  advance(frameTime) {
+    let steps = 0;
+    if (!this.paused) {
+      this.accumulator += Math.min(frameTime, this.maxFrameTime) * this.timeScale;
+      while (this.accumulator >= this.timestep) {
+        this.step(this.timestep);
+        this.accumulator -= this.timestep;
+        steps++;
+      }
+    }
+    this.render(this.accumulator / this.timestep);
+    return steps;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+  }
+
+  // 1 is real time, 0.25 is quarter-speed slow motion
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+}
@@ -0,0 +1,141 @@
+import { WEATHER_TYPES } from './weather.js';
+
+// A snapshot is everything needed to put a driver back where they were: the
+// world seed (which rebuilds roads, terrain and vegetation), the car, its
+// position and speed, the time of day and the weather. It is plain JSON with
+// a version number, so saved drives and shared links keep working as the
+// format grows.
+export const SNAPSHOT_VERSION = 1;
+
+const STORAGE_KEY = 'chill-drive.snapshot';
+
+// Upgrades for older formats, keyed by the version they upgrade from. Each
+// takes a snapshot of that version and returns one of the next version.
+const MIGRATIONS = {};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+export function createSnapshot({ seed, carId, vehicle, hour, weather }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    seed,
+    carId,
+    car: {
+      x: round(vehicle.x, 2),
+      z: round(vehicle.z, 2),
+      heading: round(vehicle.heading, 4),
+      speed: round(vehicle.speed, 2)
+    },
+    hour: round(hour, 3),
+    weather
+  };
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Check a parsed snapshot, upgrading older versions. Returns a clean copy, or
+// throws an Error saying what is wrong with it. The version to upgrade to and
+// the migrations can be swapped out to try an upgrade path.
+export function validateSnapshot(data, { version = SNAPSHOT_VERSION, migrations = MIGRATIONS } = {}) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Snapshot is not an object');
+  }
+
+  let snapshot = data;
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    throw new Error('Snapshot has no valid version');
+  }
+  if (snapshot.version > version) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than this game supports (${version})`);
+  }
+  while (snapshot.version < version) {
+    const migrate = migrations[snapshot.version];
+    if (!migrate) throw new Error(`Snapshot version ${snapshot.version} can no longer be loaded`);
+    const upgraded = migrate(snapshot);
+    if (!(upgraded?.version > snapshot.version)) {
+      throw new Error(`Upgrading snapshot version ${snapshot.version} did not raise its version`);
+    }
+    snapshot = upgraded;
+  }
+
+  const { seed, carId, car, hour, weather } = snapshot;
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    throw new Error('Snapshot seed must be a 32-bit unsigned integer');
+  }
+  if (typeof carId !== 'string') {
+    throw new Error('Snapshot car id must be a string');
+  }
+  if (!car || !['x', 'z', 'heading', 'speed'].every((key) => isNumber(car[key]))) {
+    throw new Error('Snapshot car needs numeric x, z, heading and speed');
+  }
+  if (!isNumber(hour)) {
+    throw new Error('Snapshot hour must be a number');
+  }
+  if (!WEATHER_TYPES.includes(weather)) {
+    throw new Error(`Unknown weather "${weather}" in snapshot`);
+  }
+
+  return {
+    version,
+    seed,
+    carId,
+    car: { x: car.x, z: car.z, heading: car.heading, speed: car.speed },
+    // Only hours below 0 are shifted, so ones in range come back exactly
+    hour: hour % 24 < 0 ? (hour % 24) + 24 : hour % 24,
+    weather
+  };
+}
+
+export function parseSnapshot(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('Snapshot is not valid JSON');
+  }
+  return validateSnapshot(data);
+}
+
+export function serializeSnapshot(snapshot) {
+  return JSON.stringify(snapshot);
+}
+
+// URL-safe base64 of the JSON, for ?session= links
+export function encodeSnapshot(snapshot) {
+  const bytes = new TextEncoder().encode(serializeSnapshot(snapshot));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeSnapshot(text) {
+  let json;
+  try {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    json = new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+  } catch {
+    throw new Error('Snapshot link is damaged');
+  }
+  return parseSnapshot(json);
+}
+
+// Snapshot shared through ?session=, or null if there is none
+export function getSnapshotFromQuery(search) {
+  const value = new URLSearchParams(search).get('session');
+  return value ? decodeSnapshot(value) : null;
+}
+
+export function saveSnapshot(snapshot, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, serializeSnapshot(snapshot));
+}
+
+// The autosaved drive, or null if there is none or it can't be used
+export function loadSnapshot(storage = globalThis.localStorage) {
+  const json = storage?.getItem(STORAGE_KEY);
+  if (!json) return null;
+  try {
+    return parseSnapshot(json);
+  } catch (error) {
+    console.warn('Ignoring saved drive:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { createNoise2D, fbm } from './noise.js';
+import { deriveSeed } from './random.js';
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+const LOW_COLOR = new THREE.Color(0x267F00);
+const HIGH_COLOR = new THREE.Color(0x4F9A2A);
+
+// Rolling, noise-based ground generated in square chunks around the car.
+// Near roads the hills are blended down to roadLevel, so the road always
+// sits in a flat cutting.
+export class Terrain {
+  constructor(scene, {
+    seed,
+    roadNetwork,
+    chunkSize = 100,
+    resolution = 32,
+    viewRadius = 3,
+    hillHeight = 14,
+    hillScale = 180,
+    roadBlend = 25,
+    roadLevel = 0
+  }) {
+    this.scene = scene;
+    this.roadNetwork = roadNetwork;
+    this.chunkSize = chunkSize;
+    this.resolution = resolution;
+    this.viewRadius = viewRadius;
+    this.hillHeight = hillHeight;
+    this.hillScale = hillScale;
+    this.roadBlend = roadBlend;
+    this.roadLevel = roadLevel;
+
+    this.noise = createNoise2D(deriveSeed(seed, 'terrain'));
+    this.material = new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      roughness: 0.8
+    });
+
+    // Active chunks keyed by "cx,cz"
+    this.chunks = new Map();
+  }
+
+  // Ground height at a world position. Other systems (car, scenery) use this
+  // so everything rests on the same surface the chunks are built from.
+  getHeightAt(x, z) {
+    const hills = (fbm(this.noise, x / this.hillScale, z / this.hillScale) * 0.5 + 0.5) * this.hillHeight;
+    const blend = smoothstep(0, this.roadBlend, this.roadNetwork.distanceToRoad(x, z));
+    return THREE.MathUtils.lerp(this.roadLevel, hills, blend);
+  }
+
+  // Surface normal from central differences of the height field
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    const step = 0.5;
+    const dx = this.getHeightAt(x + step, z) - this.getHeightAt(x - step, z);
+    const dz = this.getHeightAt(x, z + step) - this.getHeightAt(x, z - step);
+    return target.set(-dx, 2 * step, -dz).normalize();
+  }
+
+  createChunk(cx, cz) {
+    const size = this.chunkSize;
+    const geometry = new THREE.PlaneGeometry(size, size, this.resolution, this.resolution);
+    geometry.rotateX(-Math.PI / 2);
+
+    const originX = (cx + 0.5) * size;
+    const originZ = (cz + 0.5) * size;
+    const positions = geometry.attributes.position;
+    const colors = new Float32Array(positions.count * 3);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < positions.count; i++) {
+      const height = this.getHeightAt(originX + positions.getX(i), originZ + positions.getZ(i));
+      positions.setY(i, height);
+      color.copy(LOW_COLOR).lerp(HIGH_COLOR, Math.max(0, height) / this.hillHeight);
+      color.toArray(colors, i * 3);
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.computeVertexNormals();
+
+    const chunk = new THREE.Mesh(geometry, this.material);
+    chunk.position.set(originX, 0, originZ);
+    chunk.receiveShadow = true;
+    return chunk;
+  }
+
+  // Build chunks within viewRadius of (x, z) and drop the ones outside it.
+  // maxNewChunks spreads the building work of a newly entered row over frames.
+  update(x, z, maxNewChunks = Infinity) {
+    this.updateAround([{ x, z }], maxNewChunks);
+  }
+
+  // The same around several points (one per player); chunks stay while any
+  // point is near them
+  updateAround(points, maxNewChunks = Infinity) {
+    const centers = points.map(({ x, z }) => [Math.floor(x / this.chunkSize), Math.floor(z / this.chunkSize)]);
+    const near = (cx, cz) => centers.some(([centerX, centerZ]) =>
+      Math.abs(cx - centerX) <= this.viewRadius && Math.abs(cz - centerZ) <= this.viewRadius);
+
+    for (const [key, chunk] of this.chunks) {
+      const [cx, cz] = key.split(',').map(Number);
+      if (!near(cx, cz)) {
+        this.scene.remove(chunk);
+        chunk.geometry.dispose();
+        this.chunks.delete(key);
+      }
+    }
+
+    let built = 0;
+    for (const [centerX, centerZ] of centers) {
+      for (let cx = centerX - this.viewRadius; cx <= centerX + this.viewRadius; cx++) {
+        for (let cz = centerZ - this.viewRadius; cz <= centerZ + this.viewRadius; cz++) {
+          const key = `${cx},${cz}`;
+          if (!this.chunks.has(key) && built < maxNewChunks) {
+            built++;
+            const chunk = this.createChunk(cx, cz);
+            this.chunks.set(key, chunk);
+            this.scene.add(chunk);
+          }
+        }
+      }
+    }
+  }
+
+  dispose() {
+    for (const chunk of this.chunks.values()) {
+      this.scene.remove(chunk);
+      chunk.geometry.dispose();
+    }
+    this.chunks.clear();
+    this.material.dispose();
+  }
+}
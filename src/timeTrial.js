@@ -0,0 +1,229 @@
+// Time trials: routes of checkpoint gates, telling when the car crosses a
+// gate, lap and sector timing, and best times kept in localStorage.
+//
+// Routes are JSON files in public/routes/, listed in its manifest.json:
+//   {
+//     "id": "side-loop", "name": "Side loop", "description": "...",
+//     "seed": 123,          (optional: pins the world; otherwise any seed goes)
+//     "closed": true,       (laps end back at the first gate)
+//     "laps": 3,
+//     "checkpoints": [{ "z": 100 }, { "z": 170, "offset": 90 }, ...]
+//   }
+// A checkpoint sits at distance z along the main road, offset metres to the
+// side of its centre line (+x), facing along the road in the direction of
+// travel from the previous checkpoint to the next. "heading" (degrees, 0 is
+// +z) turns it another way. The first checkpoint is the start line.
+const STORAGE_KEY = 'chill-drive.bestTimes';
+
+const DEFAULT_GATE_WIDTH = 24;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export async function loadRouteManifest(url = '/routes/manifest.json') {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load route manifest from ${url} (${response.status})`);
+  }
+  const { routes } = await response.json();
+  return Promise.all(routes.map(async (file) => {
+    const routeUrl = new URL(file, new URL(url, window.location.href));
+    const routeResponse = await fetch(routeUrl);
+    if (!routeResponse.ok) {
+      throw new Error(`Could not load route from ${routeUrl} (${routeResponse.status})`);
+    }
+    return validateRoute(await routeResponse.json());
+  }));
+}
+
+// A checked copy of a route definition; throws on anything unusable
+export function validateRoute(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Route is not an object');
+  }
+  const { id, name, description = '', seed, closed = false, laps = 1, checkpoints } = data;
+  if (typeof id !== 'string' || id === '') {
+    throw new Error('Route needs an id');
+  }
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    throw new Error(`Route "${id}" seed must be a 32-bit unsigned integer`);
+  }
+  if (!Number.isInteger(laps) || laps < 1) {
+    throw new Error(`Route "${id}" laps must be a whole number of at least 1`);
+  }
+  if (!Array.isArray(checkpoints) || checkpoints.length < 2) {
+    throw new Error(`Route "${id}" needs at least two checkpoints`);
+  }
+  checkpoints.forEach((checkpoint, i) => {
+    const { z, offset = 0, heading = 0, width = DEFAULT_GATE_WIDTH } = checkpoint ?? {};
+    if (![z, offset, heading, width].every(isNumber) || width <= 0) {
+      throw new Error(`Route "${id}" checkpoint ${i + 1} needs a numeric z, and numeric offset, heading and width if given`);
+    }
+  });
+
+  return {
+    id,
+    name: typeof name === 'string' ? name : id,
+    description: String(description),
+    seed,
+    closed: Boolean(closed),
+    // A route that doesn't come back to its start can only be driven once
+    laps: closed ? laps : 1,
+    checkpoints: checkpoints.map(({ z, offset = 0, heading, width = DEFAULT_GATE_WIDTH }) => ({ z, offset, heading, width }))
+  };
+}
+
+// World-space gates of a route on a road (anything with centerXAt(z)): the
+// centre of each gate, the unit direction it's driven through and half its width
+export function createGates(route, road) {
+  const { checkpoints, closed } = route;
+  const count = checkpoints.length;
+  const points = checkpoints.map(({ z, offset }) => ({ x: road.centerXAt(z) + offset, z }));
+
+  return checkpoints.map((checkpoint, i) => {
+    let dirX;
+    let dirZ;
+    if (checkpoint.heading !== undefined) {
+      const heading = checkpoint.heading * Math.PI / 180;
+      dirX = Math.sin(heading);
+      dirZ = Math.cos(heading);
+    } else {
+      // Along the main road, whichever way the route goes past here
+      const prev = points[closed ? (i - 1 + count) % count : Math.max(0, i - 1)];
+      const next = points[closed ? (i + 1) % count : Math.min(count - 1, i + 1)];
+      const slope = (road.centerXAt(checkpoint.z + 1) - road.centerXAt(checkpoint.z - 1)) / 2;
+      const length = Math.hypot(slope, 1);
+      const sign = (next.x - prev.x) * slope + (next.z - prev.z) >= 0 ? 1 : -1;
+      dirX = (slope / length) * sign;
+      dirZ = (1 / length) * sign;
+    }
+    return { ...points[i], dirX, dirZ, halfWidth: checkpoint.width / 2 };
+  });
+}
+
+// Where along the move from -> to ({ x, z } each) the car drove through the
+// gate forwards, as a fraction 0..1, or null if it didn't
+export function findCrossing(gate, from, to) {
+  const before = (from.x - gate.x) * gate.dirX + (from.z - gate.z) * gate.dirZ;
+  const after = (to.x - gate.x) * gate.dirX + (to.z - gate.z) * gate.dirZ;
+  if (!(before < 0 && after >= 0)) return null;
+
+  const fraction = before / (before - after);
+  const x = from.x + (to.x - from.x) * fraction;
+  const z = from.z + (to.z - from.z) * fraction;
+  // Distance from the gate's centre along its crossbar
+  const across = (x - gate.x) * gate.dirZ - (z - gate.z) * gate.dirX;
+  return Math.abs(across) <= gate.halfWidth ? fraction : null;
+}
+
+// Pose 20 m before the start gate, facing it
+export function startPose(gates, distance = 20) {
+  const { x, z, dirX, dirZ } = gates[0];
+  return { x: x - dirX * distance, z: z - dirZ * distance, heading: Math.atan2(dirX, dirZ), speed: 0 };
+}
+
+export function createTrial(route) {
+  return {
+    gateCount: route.checkpoints.length,
+    laps: route.laps,
+    closed: route.closed,
+    next: 0,            // Index of the gate to drive through next
+    lap: 0,             // Laps completed
+    startTime: null,    // The clock starts at the first gate
+    lapStartTime: null,
+    sectorStartTime: null,
+    sectors: [],        // Sector times of each lap so far
+    lapTimes: [],
+    totalTime: null,    // Set once finished
+    finished: false
+  };
+}
+
+// Sectors in one lap: gate to gate, and back to the start on closed routes
+export function sectorCount(trial) {
+  return trial.closed ? trial.gateCount : trial.gateCount - 1;
+}
+
+// The trial after driving through its next gate at time (seconds). Returns
+// { trial, event } where event is { type: 'start' } for the first gate and
+// { type: 'sector' }, { type: 'lap', lap, lapTime } or { type: 'finish',
+// lapTime, totalTime } after that. All but the start carry the sector just
+// driven and its time as sector and sectorTime.
+export function passGate(trial, time) {
+  if (trial.finished) return { trial, event: null };
+
+  if (trial.startTime === null) {
+    return {
+      trial: { ...trial, next: 1, startTime: time, lapStartTime: time, sectorStartTime: time, sectors: [[]] },
+      event: { type: 'start' }
+    };
+  }
+
+  const sectorTime = time - trial.sectorStartTime;
+  const sectors = trial.sectors.map((lap) => [...lap]);
+  const current = sectors[sectors.length - 1];
+  current.push(sectorTime);
+  const lapDone = current.length === sectorCount(trial);
+
+  if (!lapDone) {
+    return {
+      trial: { ...trial, next: (trial.next + 1) % trial.gateCount, sectorStartTime: time, sectors },
+      event: { type: 'sector', sector: current.length - 1, sectorTime }
+    };
+  }
+
+  const lapTime = time - trial.lapStartTime;
+  const lapTimes = [...trial.lapTimes, lapTime];
+  const lap = trial.lap + 1;
+  const sector = current.length - 1;
+  if (lap >= trial.laps) {
+    const totalTime = time - trial.startTime;
+    return {
+      trial: { ...trial, lap, sectors, lapTimes, totalTime, finished: true },
+      event: { type: 'finish', lapTime, totalTime, sector, sectorTime }
+    };
+  }
+  return {
+    trial: { ...trial, lap, next: 1, lapStartTime: time, sectorStartTime: time, sectors: [...sectors, []], lapTimes },
+    event: { type: 'lap', lap: lap - 1, lapTime, sector, sectorTime }
+  };
+}
+
+// Key of a route's best times. Routes without a seed of their own are driven
+// on different roads in different worlds, so their times are kept per seed.
+export function bestTimesKey(route, seed) {
+  return route.seed === undefined ? `${route.id}@${seed}` : route.id;
+}
+
+// Merge a finished trial into the best times of its route ({ total, lap,
+// sectors } or null). Returns { best, improved } with improved saying which
+// of the total, the lap and each sector are new bests.
+export function mergeBestTimes(best, trial) {
+  const bestLap = Math.min(...trial.lapTimes);
+  const sectorBests = trial.sectors[0].map((_, i) => Math.min(...trial.sectors.map((lap) => lap[i])));
+  const improved = {
+    total: !best || trial.totalTime < best.total,
+    lap: !best || bestLap < best.lap,
+    sectors: sectorBests.map((time, i) => !best || !(best.sectors[i] <= time))
+  };
+  return {
+    best: {
+      total: improved.total ? trial.totalTime : best.total,
+      lap: improved.lap ? bestLap : best.lap,
+      sectors: sectorBests.map((time, i) => (improved.sectors[i] ? time : best.sectors[i]))
+    },
+    improved
+  };
+}
+
+export function loadBestTimes(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveBestTimes(bestTimes, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(bestTimes));
+}
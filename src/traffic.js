@@ -0,0 +1,175 @@
+import { createRandom, deriveSeed } from './random.js';
+
+// AI traffic on the main road: cars spawn out of sight around the players,
+// keep their distance with the Intelligent Driver Model and are dropped once
+// far behind. Cars drive on the right: those heading towards +z keep to the
+// -x side of the centre line (a car's right is -x when it faces +z),
+// oncoming cars to the +x side. TrafficCars draws them.
+export const DEFAULT_TRAFFIC_SETTINGS = {
+  laneOffset: 5,             // Lane centre distance from the road's centre line (m)
+  maxCars: 24,               // Cars at density 1
+  spawnDistance: [120, 250], // New cars appear this far from the player, out of sight (m)
+  despawnDistance: 320,      // and are dropped beyond this
+  roadBehind: Infinity,      // Road that is always there behind a player; no cars spawn or stay beyond it (m)
+  minSpawnGap: 30,           // Free road needed around a new car (m)
+  desiredSpeed: [13, 22],    // Cruising speeds are picked from this range (m/s)
+  maxAccel: 2,               // m/s^2
+  comfortDecel: 3,           // m/s^2, normal braking
+  maxDecel: 9,               // m/s^2, emergency braking
+  timeHeadway: 1.5,          // Seconds of gap kept to the car in front
+  minGap: 4,                 // Bumper-to-bumper gap when stopped (m)
+  carLength: 4.5,            // m
+  laneWidth: 3.5,            // Half-width around a lane centre that counts as in the lane (m)
+  lookAhead: 150             // How far ahead drivers watch for a leader (m)
+};
+
+// Lane centre offset from the road centre for a direction of travel (+1 or -1)
+export function laneOffset(direction, settings = DEFAULT_TRAFFIC_SETTINGS) {
+  return direction > 0 ? -settings.laneOffset : settings.laneOffset;
+}
+
+// Position and heading on a lane of the road at z. road is anything with
+// centerXAt(z), like the main road from createMainRoad.
+export function lanePose(road, z, direction, settings = DEFAULT_TRAFFIC_SETTINGS) {
+  const slope = (road.centerXAt(z + 1) - road.centerXAt(z - 1)) / 2;
+  return {
+    x: road.centerXAt(z) + laneOffset(direction, settings),
+    z,
+    heading: direction > 0 ? Math.atan2(slope, 1) : Math.atan2(-slope, -1)
+  };
+}
+
+// Intelligent Driver Model: acceleration towards desiredSpeed that eases off
+// as the gap to the leader shrinks. closingSpeed is how fast the gap is
+// shrinking; gap is Infinity on an empty road.
+export function idmAcceleration(speed, desiredSpeed, gap, closingSpeed, settings = DEFAULT_TRAFFIC_SETTINGS) {
+  const { maxAccel, comfortDecel, maxDecel, timeHeadway, minGap } = settings;
+  const free = 1 - (speed / desiredSpeed) ** 4;
+  if (!Number.isFinite(gap)) return Math.min(maxAccel, maxAccel * free);
+
+  const desiredGap = minGap + Math.max(0, speed * timeHeadway + (speed * closingSpeed) / (2 * Math.sqrt(maxAccel * comfortDecel)));
+  const interaction = (desiredGap / Math.max(gap, 0.1)) ** 2;
+  return Math.max(-maxDecel, maxAccel * (free - interaction));
+}
+
+// Spawns, steers and retires AI cars around the players. Each car moves along
+// its lane: z is its distance along the road, x and heading follow the lane.
+export class TrafficSimulation {
+  constructor({ road, seed = 0, density = 0.5, settings = DEFAULT_TRAFFIC_SETTINGS }) {
+    this.road = road;
+    this.settings = settings;
+    this.density = density;
+    this.random = createRandom(deriveSeed(seed, 'traffic'));
+    this.cars = [];
+    this.nextId = 1;
+    this.spawnTurn = 0;
+  }
+
+  get maxCars() {
+    return Math.round(this.density * this.settings.maxCars);
+  }
+
+  setDensity(density) {
+    this.density = Math.max(0, Math.min(1, density));
+  }
+
+  // players: { x, z, heading, speed, direction } of each player's car;
+  // direction is the sign of its travel along z (1 if not given), which
+  // tells ahead from behind
+  step(dt, players) {
+    const { despawnDistance, roadBehind } = this.settings;
+    const distance = (car) => Math.min(...players.map((player) => Math.abs(car.z - player.z)));
+    const nearAny = (car) => players.some((player) => {
+      const along = (car.z - player.z) * (player.direction ?? 1);
+      return along >= 0 ? along <= despawnDistance : -along <= Math.min(despawnDistance, roadBehind);
+    });
+
+    // Retire cars that are far from every player (or behind one, off the
+    // road that's there), and any beyond the density limit
+    this.cars = this.cars.filter(nearAny);
+    if (this.cars.length > this.maxCars) {
+      this.cars.sort((a, b) => distance(a) - distance(b));
+      this.cars.length = this.maxCars;
+    }
+
+    // At most one new car per step keeps spawning smooth. Players take turns
+    // having cars spawned around them.
+    if (this.cars.length < this.maxCars) {
+      const player = players[this.spawnTurn++ % players.length];
+      // Not in view of another player either
+      this.trySpawn(player, players.filter((other) => other !== player));
+    }
+
+    for (const car of this.cars) {
+      const { gap, closingSpeed } = this.findLeader(car, players);
+      car.accel = idmAcceleration(car.speed, car.desiredSpeed, gap, closingSpeed, this.settings);
+      car.speed = Math.max(0, car.speed + car.accel * dt);
+    }
+    // Move after every car has decided, so the order of cars doesn't matter
+    for (const car of this.cars) {
+      car.previous = { x: car.x, z: car.z, heading: car.heading };
+      Object.assign(car, lanePose(this.road, car.z + car.direction * car.speed * dt, car.direction, this.settings));
+    }
+  }
+
+  trySpawn(player, others = []) {
+    const { spawnDistance, minSpawnGap, desiredSpeed, roadBehind } = this.settings;
+    const direction = this.random() < 0.5 ? 1 : -1;
+    let side = this.random() < 0.5 ? 1 : -1;
+    // Behind the player there may be less road than the spawn range: cars
+    // spawn within it there, or ahead when it's too short to hide them
+    const ahead = player.direction ?? 1;
+    if (side !== ahead && roadBehind <= spawnDistance[0]) side = ahead;
+    const farthest = side === ahead ? spawnDistance[1] : Math.min(spawnDistance[1], roadBehind);
+    const distance = spawnDistance[0] + this.random() * (farthest - spawnDistance[0]);
+    const cruise = desiredSpeed[0] + this.random() * (desiredSpeed[1] - desiredSpeed[0]);
+    const color = Math.floor(this.random() * 0xFFFFFF);
+    const z = player.z + side * distance;
+
+    const blocked = this.cars.some((car) => car.direction === direction && Math.abs(car.z - z) < minSpawnGap);
+    const seen = others.some((other) => Math.abs(other.z - z) < spawnDistance[0]);
+    if (blocked || seen) return null;
+
+    const pose = lanePose(this.road, z, direction, this.settings);
+    const car = {
+      id: this.nextId++,
+      direction,
+      ...pose,
+      previous: pose,
+      speed: cruise,
+      desiredSpeed: cruise,
+      accel: 0,
+      color
+    };
+    this.cars.push(car);
+    return car;
+  }
+
+  // Closest thing ahead in the car's lane: another AI car or a player
+  findLeader(car, players) {
+    const { carLength, laneWidth, lookAhead } = this.settings;
+    let gap = Infinity;
+    let closingSpeed = 0;
+
+    for (const other of this.cars) {
+      if (other === car || other.direction !== car.direction) continue;
+      const ahead = (other.z - car.z) * car.direction;
+      if (ahead <= 0 || ahead - carLength >= gap || ahead > lookAhead) continue;
+      gap = ahead - carLength;
+      closingSpeed = car.speed - other.speed;
+    }
+
+    // Players count when they're inside this lane, whichever way they face
+    for (const player of players) {
+      const laneX = this.road.centerXAt(player.z) + laneOffset(car.direction, this.settings);
+      const playerAhead = (player.z - car.z) * car.direction;
+      if (Math.abs(player.x - laneX) < laneWidth && playerAhead > 0 && playerAhead - carLength < gap && playerAhead <= lookAhead) {
+        gap = playerAhead - carLength;
+        const playerAlong = player.speed * Math.cos(player.heading) * car.direction;
+        closingSpeed = car.speed - playerAlong;
+      }
+    }
+
+    return { gap, closingSpeed };
+  }
+}
@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { createCar, setCarColor } from './carModel.js';
+import { CarRig } from './carRig.js';
+import { addCarColliders, placeCarColliders } from './collision.js';
+
+// Scene objects and colliders for the cars of a TrafficSimulation. Cars are
+// built with createCar and kept in a pool, so traffic coming and going
+// doesn't create new meshes all the time.
+export class TrafficCars {
+  constructor(scene, { terrain, collisionWorld }) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.collisionWorld = collisionWorld;
+    this.active = new Map(); // Simulation car id -> { object, rig, colliders }
+    this.pool = [];
+  }
+
+  acquire(car) {
+    const entry = this.pool.pop() ?? this.createEntry();
+    setCarColor(entry.object, car.color);
+    entry.object.visible = true;
+    entry.colliders = addCarColliders(this.collisionWorld, { traffic: car.id });
+    this.active.set(car.id, entry);
+    return entry;
+  }
+
+  createEntry() {
+    const object = createCar();
+    object.rotation.order = 'YXZ';
+    this.scene.add(object);
+    return { object, rig: new CarRig(object), colliders: [] };
+  }
+
+  release(id) {
+    const entry = this.active.get(id);
+    entry.object.visible = false;
+    entry.colliders.forEach((collider) => this.collisionWorld.remove(collider));
+    entry.colliders = [];
+    this.active.delete(id);
+    this.pool.push(entry);
+  }
+
+  // Match the active cars to the simulation's; call after every traffic step
+  sync(cars) {
+    const ids = new Set(cars.map((car) => car.id));
+    for (const id of [...this.active.keys()]) {
+      if (!ids.has(id)) this.release(id);
+    }
+
+    for (const car of cars) {
+      const entry = this.active.get(car.id) ?? this.acquire(car);
+      placeCarColliders(entry.colliders, car.x, car.z, car.heading);
+    }
+  }
+
+  // Place the cars between the last two steps (alpha 0..1) and turn their wheels
+  update(cars, alpha, dt) {
+    for (const car of cars) {
+      const entry = this.active.get(car.id);
+      if (!entry) continue;
+      const { previous } = car;
+      const x = THREE.MathUtils.lerp(previous.x, car.x, alpha);
+      const z = THREE.MathUtils.lerp(previous.z, car.z, alpha);
+      // Oncoming cars head close to ±π, so turn the short way round
+      const turn = car.heading - previous.heading;
+      const heading = previous.heading + Math.atan2(Math.sin(turn), Math.cos(turn)) * alpha;
+      entry.object.position.set(x, this.terrain.getHeightAt(x, z), z);
+      entry.object.rotation.set(0, heading, 0);
+      entry.rig.update({ speed: car.speed, steerAngle: 0, longitudinalAccel: car.accel, lateralAccel: 0 }, dt);
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { sectorCount } from './timeTrial.js';
+
+// How long a split stays on screen (s)
+const SPLIT_TIME = 3;
+
+// 62.345 -> '1:02.35'
+export function formatLapTime(seconds) {
+  const hundredths = Math.round(seconds * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const rest = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+  return `${minutes}:${rest}`;
+}
+
+// Difference to a best time: '-0.42' when ahead, '+1.07' when behind
+function formatDelta(time, best) {
+  const delta = time - best;
+  return `${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}`;
+}
+
+// Time trial readout (lap, checkpoint, running time and the last split
+// against the best) and the results screen at the finish. The results fire
+// 'retry' and 'close'.
+export class TrialPanel extends THREE.EventDispatcher {
+  constructor(element, resultsElement) {
+    super();
+    this.element = element;
+    this.resultsElement = resultsElement;
+    this.splitAge = Infinity;
+
+    const field = (name) => element.querySelector(`[data-trial="${name}"]`);
+    this.nameLabel = field('name');
+    this.lapLabel = field('lap');
+    this.checkpointLabel = field('checkpoint');
+    this.timeLabel = field('time');
+    this.splitLabel = field('split');
+
+    for (const type of ['retry', 'close']) {
+      resultsElement.querySelector(`[data-results="${type}"]`).addEventListener('click', () => this.dispatchEvent({ type }));
+    }
+  }
+
+  show(route) {
+    this.nameLabel.textContent = route.name;
+    this.splitLabel.textContent = '';
+    this.splitAge = Infinity;
+    this.element.hidden = false;
+    this.resultsElement.hidden = true;
+  }
+
+  hide() {
+    this.element.hidden = true;
+    this.resultsElement.hidden = true;
+  }
+
+  // Sector (or lap) time, compared with the best one if there is one
+  showSplit(time, best) {
+    this.splitLabel.textContent = best === undefined ? formatLapTime(time) : `${formatLapTime(time)} (${formatDelta(time, best)})`;
+    this.splitLabel.dataset.ahead = best === undefined || time < best;
+    this.splitAge = 0;
+  }
+
+  // Keep the readout in step with the trial; time is the trial clock
+  update(trial, time, dt) {
+    const lap = Math.min(trial.lap + 1, trial.laps);
+    const passed = trial.startTime === null ? 0 : trial.sectors[trial.sectors.length - 1].length;
+    this.lapLabel.textContent = `${lap}/${trial.laps}`;
+    this.checkpointLabel.textContent = `${passed}/${sectorCount(trial)}`;
+    const elapsed = trial.finished ? trial.totalTime : trial.startTime === null ? 0 : time - trial.startTime;
+    this.timeLabel.textContent = formatLapTime(elapsed);
+
+    this.splitAge += dt;
+    if (this.splitAge > SPLIT_TIME) this.splitLabel.textContent = '';
+  }
+
+  // Results of a finished trial. best is the route's best times before this
+  // run; improved comes from mergeBestTimes.
+  showResults(route, trial, best, improved) {
+    const results = this.resultsElement;
+    const field = (name) => results.querySelector(`[data-results="${name}"]`);
+    field('name').textContent = route.name;
+    field('total').textContent = `Time ${formatLapTime(trial.totalTime)}` +
+      (improved.total ? ' — new best!' : ` (best ${formatLapTime(best.total)})`);
+
+    // One row per lap, one column per sector, bests marked
+    const table = field('laps');
+    table.replaceChildren();
+    const header = table.insertRow();
+    const sectors = sectorCount(trial);
+    for (const text of ['Lap', ...Array.from({ length: sectors }, (_, i) => `S${i + 1}`), 'Time']) {
+      header.appendChild(document.createElement('th')).textContent = text;
+    }
+    trial.sectors.forEach((times, lap) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = lap + 1;
+      times.forEach((time, i) => {
+        const cell = row.insertCell();
+        cell.textContent = formatLapTime(time);
+        cell.dataset.best = improved.sectors[i] && time === Math.min(...trial.sectors.map((other) => other[i]));
+      });
+      const cell = row.insertCell();
+      cell.textContent = formatLapTime(trial.lapTimes[lap]);
+      cell.dataset.best = improved.lap && trial.lapTimes[lap] === Math.min(...trial.lapTimes);
+    });
+
+    this.element.hidden = true;
+    results.hidden = false;
+    field('retry').focus();
+  }
+}
@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createVegetationPlacer, VEGETATION_SPECIES } from './scenery.js';
+
+// One piece of a plant: a geometry painted a single colour and lifted by y.
+// Pieces are merged so every plant (and LOD) is a single vertex-coloured mesh.
+function part(geometry, color, y = 0) {
+  const piece = geometry.index ? geometry.toNonIndexed() : geometry;
+  piece.translate(0, y, 0);
+  const rgb = new THREE.Color(color);
+  const colors = new Float32Array(piece.attributes.position.count * 3);
+  for (let i = 0; i < colors.length; i += 3) {
+    colors[i] = rgb.r;
+    colors[i + 1] = rgb.g;
+    colors[i + 2] = rgb.b;
+  }
+  piece.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  piece.deleteAttribute('uv');
+  return piece;
+}
+
+const merge = (...parts) => mergeGeometries(parts);
+
+const TRUNK = 0x8B4513;
+
+// How each species looks. lods go from most to least detailed; each is used
+// up to its distance (metres), and nothing is drawn beyond the last one.
+// capacity bounds the instances per LOD, so draw calls never grow with the
+// number of plants: one per species and LOD, whatever the density.
+const SPECIES_VISUALS = {
+  pine: {
+    castShadow: true,
+    capacity: 4000,
+    lods: [
+      {
+        distance: 90,
+        geometry: () => merge(
+          part(new THREE.CylinderGeometry(0.3, 0.45, 2, 6), TRUNK, 1),
+          part(new THREE.ConeGeometry(2, 3.5, 8), 0x1F6F2A, 3.2),
+          part(new THREE.ConeGeometry(1.4, 2.8, 8), 0x247A30, 5.2)
+        )
+      },
+      {
+        distance: 350,
+        geometry: () => part(new THREE.ConeGeometry(2, 6.5, 4), 0x1F6F2A, 3.25)
+      }
+    ]
+  },
+  broadleaf: {
+    castShadow: true,
+    capacity: 3000,
+    lods: [
+      {
+        distance: 90,
+        geometry: () => merge(
+          part(new THREE.CylinderGeometry(0.35, 0.5, 2.6, 6), TRUNK, 1.3),
+          part(new THREE.IcosahedronGeometry(2.3, 1), 0x3C8D2F, 4.2)
+        )
+      },
+      {
+        distance: 350,
+        geometry: () => part(new THREE.IcosahedronGeometry(2.4, 0), 0x3C8D2F, 3.8)
+      }
+    ]
+  },
+  bush: {
+    castShadow: false,
+    capacity: 3000,
+    lods: [
+      {
+        distance: 150,
+        geometry: () => part(new THREE.IcosahedronGeometry(0.9, 0).scale(1, 0.7, 1), 0x2E7D32, 0.4)
+      }
+    ]
+  },
+  rock: {
+    castShadow: true,
+    capacity: 1500,
+    lods: [
+      {
+        distance: 80,
+        geometry: () => part(new THREE.DodecahedronGeometry(0.8, 1).scale(1, 0.6, 1), 0x8A8A84, 0.2)
+      },
+      {
+        distance: 250,
+        geometry: () => part(new THREE.OctahedronGeometry(0.8).scale(1, 0.6, 1), 0x8A8A84, 0.2)
+      }
+    ]
+  },
+  grass: {
+    castShadow: false,
+    capacity: 4000,
+    lods: [
+      {
+        distance: 60,
+        geometry: () => merge(
+          part(new THREE.ConeGeometry(0.08, 0.7, 3), 0x4C9A2A, 0.35),
+          part(new THREE.ConeGeometry(0.08, 0.5, 3).translate(0.15, 0, 0.05), 0x5BAA33, 0.25),
+          part(new THREE.ConeGeometry(0.08, 0.6, 3).translate(-0.1, 0, 0.12), 0x4C9A2A, 0.3)
+        )
+      }
+    ]
+  }
+};
+
+// Nothing is drawn further away than the furthest LOD of any species
+const MAX_DISTANCE = Math.max(...Object.values(SPECIES_VISUALS).flatMap((visual) => visual.lods.map((lod) => lod.distance)));
+
+// Forests, bushes, rocks and grass streamed in square cells around the car
+// and drawn with one InstancedMesh per species and level of detail. Instance
+// buffers are refilled whenever the car has moved far enough, picking each
+// plant's LOD by its distance to the car.
+export class Vegetation {
+  constructor(scene, {
+    seed,
+    terrain,
+    roadNetwork,
+    collisionWorld,
+    cellSize = 50,
+    drawDistance = 350,
+    density = 1,
+    rebuildDistance = 5   // Metres the car moves before LODs are re-sorted
+  }) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.collisionWorld = collisionWorld;
+    this.cellSize = cellSize;
+    this.density = density;
+    this.rebuildDistance = rebuildDistance;
+    this.placer = createVegetationPlacer(seed, {
+      cellSize,
+      isClear: (x, z, margin) => roadNetwork.isClear(x, z, margin)
+    });
+
+    this.material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.9, flatShading: true });
+
+    // Instanced meshes per species, one per LOD
+    this.meshes = {};
+    for (const [name, visual] of Object.entries(SPECIES_VISUALS)) {
+      this.meshes[name] = visual.lods.map((lod) => {
+        const mesh = new THREE.InstancedMesh(lod.geometry(), this.material, visual.capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.setColorAt(0, new THREE.Color());
+        mesh.count = 0;
+        mesh.castShadow = visual.castShadow && lod === visual.lods[0];
+        mesh.frustumCulled = false; // Instances spread around the car, not around the mesh origin
+        scene.add(mesh);
+        return mesh;
+      });
+    }
+
+    // Loaded cells keyed by "cx,cz"
+    this.cells = new Map();
+    this.lastRebuild = null;
+    this.setDrawDistance(drawDistance);
+  }
+
+  setDrawDistance(distance) {
+    this.drawDistance = Math.min(distance, MAX_DISTANCE);
+    this.viewRadius = Math.ceil(this.drawDistance / this.cellSize);
+    this.lastRebuild = null;
+  }
+
+  // Fraction (0..1) of plants to keep. Loaded cells are placed again by
+  // update(), nearest first and a few per call like new cells, so a quality
+  // change doesn't stall a frame. Each cell swaps its trees and colliders
+  // together, so the colliders always match the trees that are drawn.
+  setDensity(density) {
+    this.density = density;
+  }
+
+  // Instance data for one cell, plus colliders for trunks and rocks
+  loadCell(cx, cz) {
+    const plants = this.placer.placeCell(cx, cz, this.density);
+    const cell = { cx, cz, density: this.density, species: {}, colliders: [] };
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const euler = new THREE.Euler();
+    const scale = new THREE.Vector3();
+
+    for (const [name, list] of Object.entries(plants)) {
+      const rule = VEGETATION_SPECIES[name];
+      const matrices = new Float32Array(list.length * 16);
+      const positions = new Float32Array(list.length * 2);
+      const shades = new Float32Array(list.length);
+
+      list.forEach((plant, i) => {
+        // Sink plants slightly so they don't float on slopes
+        position.set(plant.x, this.terrain.getHeightAt(plant.x, plant.z) - 0.1, plant.z);
+        // Rocks lie at any angle and stretch; plants only turn about y
+        if (name === 'rock') {
+          euler.set((plant.shade - 0.5) * 0.6, plant.rotation, (plant.shade - 0.5) * -0.4);
+          scale.set(plant.scale * (0.8 + plant.shade * 0.6), plant.scale, plant.scale);
+        } else {
+          euler.set(0, plant.rotation, 0);
+          scale.setScalar(plant.scale);
+        }
+        quaternion.setFromEuler(euler);
+        matrix.compose(position, quaternion, scale).toArray(matrices, i * 16);
+        positions[i * 2] = plant.x;
+        positions[i * 2 + 1] = plant.z;
+        shades[i] = 0.8 + plant.shade * 0.35;
+
+        if (rule.collider > 0) {
+          cell.colliders.push(this.collisionWorld.addCylinder(plant.x, plant.z, rule.collider * plant.scale, { species: name }));
+        }
+      });
+
+      cell.species[name] = { count: list.length, matrices, positions, shades };
+    }
+    return cell;
+  }
+
+  unloadCell(key) {
+    for (const collider of this.cells.get(key).colliders) {
+      this.collisionWorld.remove(collider);
+    }
+    this.cells.delete(key);
+  }
+
+  // Stream cells around (x, z), loading or re-placing at most maxNewCells per
+  // call so driving doesn't stall, and refresh the instances when anything changed.
+  update(x, z, maxNewCells = Infinity) {
+    this.updateAround([{ x, z }], maxNewCells);
+  }
+
+  // The same around several points (one per player). Cells stay while any
+  // point is near them, and LODs go by the nearest point.
+  updateAround(points, maxNewCells = Infinity) {
+    const size = this.cellSize;
+    const centers = points.map(({ x, z }) => [Math.floor(x / size), Math.floor(z / size)]);
+    const cellDistance = (cx, cz) => Math.min(...centers.map(([centerX, centerZ]) => Math.hypot(cx - centerX, cz - centerZ)));
+    let changed = false;
+
+    for (const key of [...this.cells.keys()]) {
+      const [cx, cz] = key.split(',').map(Number);
+      // One cell of slack so cells on the edge don't flicker in and out
+      const near = centers.some(([centerX, centerZ]) =>
+        Math.abs(cx - centerX) <= this.viewRadius + 1 && Math.abs(cz - centerZ) <= this.viewRadius + 1);
+      if (!near) {
+        this.unloadCell(key);
+        changed = true;
+      }
+    }
+
+    // Cells that are missing or were placed at another density. Nearest
+    // first, so the car is never without its colliders.
+    const pending = new Map();
+    for (const [centerX, centerZ] of centers) {
+      for (let cx = centerX - this.viewRadius; cx <= centerX + this.viewRadius; cx++) {
+        for (let cz = centerZ - this.viewRadius; cz <= centerZ + this.viewRadius; cz++) {
+          const key = `${cx},${cz}`;
+          if (!this.cells.has(key)) pending.set(key, [cx, cz]);
+        }
+      }
+    }
+    for (const [key, cell] of this.cells) {
+      if (cell.density !== this.density) pending.set(key, [cell.cx, cell.cz]);
+    }
+    const order = [...pending.values()].sort((a, b) => cellDistance(...a) - cellDistance(...b));
+    for (const [cx, cz] of order.slice(0, maxNewCells)) {
+      const key = `${cx},${cz}`;
+      if (this.cells.has(key)) this.unloadCell(key);
+      this.cells.set(key, this.loadCell(cx, cz));
+      changed = true;
+    }
+
+    const moved = !this.lastRebuild || this.lastRebuild.length !== points.length ||
+      points.some(({ x, z }, i) => Math.hypot(x - this.lastRebuild[i].x, z - this.lastRebuild[i].z) > this.rebuildDistance);
+    if (changed || moved) {
+      this.rebuild(points);
+      this.lastRebuild = points.map(({ x, z }) => ({ x, z }));
+    }
+  }
+
+  // Sort every loaded plant into the LOD mesh for its distance from the
+  // nearest of points ({ x, z } each)
+  rebuild(points) {
+    for (const [name, visual] of Object.entries(SPECIES_VISUALS)) {
+      const meshes = this.meshes[name];
+      const limits = visual.lods.map((lod) => Math.min(lod.distance, this.drawDistance) ** 2);
+      const counts = meshes.map(() => 0);
+      const reach = Math.sqrt(limits[limits.length - 1]);
+
+      for (const cell of this.cells.values()) {
+        // Skip whole cells that are out of this species' range of every point
+        const size = this.cellSize;
+        const near = points.filter(({ x, z }) => {
+          const outsideX = Math.max(cell.cx * size - x, x - (cell.cx + 1) * size, 0);
+          const outsideZ = Math.max(cell.cz * size - z, z - (cell.cz + 1) * size, 0);
+          return outsideX * outsideX + outsideZ * outsideZ <= reach * reach;
+        });
+        if (near.length === 0) continue;
+
+        const { count, matrices, positions, shades } = cell.species[name];
+        for (let i = 0; i < count; i++) {
+          let distanceSquared = Infinity;
+          for (const { x, z } of near) {
+            const dx = positions[i * 2] - x;
+            const dz = positions[i * 2 + 1] - z;
+            distanceSquared = Math.min(distanceSquared, dx * dx + dz * dz);
+          }
+          let lod = 0;
+          while (lod < limits.length && distanceSquared >= limits[lod]) lod++;
+          if (lod === limits.length || counts[lod] >= visual.capacity) continue;
+
+          const mesh = meshes[lod];
+          const slot = counts[lod]++;
+          const target = mesh.instanceMatrix.array;
+          for (let k = 0; k < 16; k++) target[slot * 16 + k] = matrices[i * 16 + k];
+          mesh.instanceColor.array.fill(shades[i], slot * 3, slot * 3 + 3);
+        }
+      }
+
+      meshes.forEach((mesh, lod) => {
+        mesh.count = counts[lod];
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+      });
+    }
+  }
+
+  dispose() {
+    for (const key of [...this.cells.keys()]) {
+      this.unloadCell(key);
+    }
+    for (const meshes of Object.values(this.meshes)) {
+      for (const mesh of meshes) {
+        mesh.geometry.dispose();
+        mesh.dispose();
+        mesh.removeFromParent();
+      }
+    }
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,122 @@
+// Vehicle dynamics on the ground plane using a kinematic bicycle model.
+// Pure data and math with no three.js or DOM access, so it can run headless.
+// Units are metres, seconds, kilograms and radians; one world unit is a metre.
+
+const GRAVITY = 9.81;
+
+// Tunable handling. Cars with different stats override some of these.
+export const DEFAULT_VEHICLE_PARAMS = {
+  mass: 1200,              // kg
+  wheelbase: 2.4,          // m, distance between the axles
+  maxSteerAngle: 0.6,      // rad, front wheel lock at standstill
+  steerSpeed: 2.5,         // rad/s, how fast the front wheels turn
+  steerFalloffSpeed: 20,   // m/s, halves the usable lock at this speed
+  engineForce: 6000,       // N at full throttle
+  reverseForce: 3000,      // N when reversing
+  maxReverseSpeed: 8,      // m/s
+  brakeForce: 12000,       // N at full brake
+  dragCoefficient: 5.5,    // N per (m/s)^2
+  rollingResistance: 0.08, // fraction of the car's weight
+  tireGrip: 1.0,           // friction coefficient, limits cornering to grip * g
+  slipScrub: 2,            // m/s^2 of speed lost per unit of slip
+  wheelRadius: 0.5,        // m
+  gearRatios: [3.2, 2.1, 1.5, 1.15, 0.95],
+  finalDrive: 9,
+  idleRpm: 800,
+  maxRpm: 6500,
+  shiftUpRpm: 5500,
+  shiftDownRpm: 2500
+};
+
+export function createVehicleState({ x = 0, z = 0, heading = 0, speed = 0 } = {}) {
+  return {
+    x,
+    z,
+    heading,
+    speed,                 // m/s along the heading, negative when reversing
+    steerAngle: 0,         // rad, positive steers left
+    yawRate: 0,            // rad/s
+    slip: 0,               // 0 when the tyres hold, up to 1 when sliding
+    longitudinalAccel: 0,  // m/s^2
+    lateralAccel: 0,       // m/s^2
+    gear: 1,               // 1 and up going forward, -1 in reverse
+    rpm: 0                 // engine speed
+  };
+}
+
+// Automatic gearbox: pick a gear for the current speed and work out engine RPM
+function updateGearbox(state, params, throttle) {
+  const wheelRpm = (Math.abs(state.speed) / (2 * Math.PI * params.wheelRadius)) * 60;
+  const engineRpm = (gear) => wheelRpm * params.gearRatios[gear - 1] * params.finalDrive;
+
+  if (state.speed < -0.1) {
+    state.gear = -1;
+  } else if (state.gear < 1) {
+    state.gear = 1;
+  } else if (state.gear < params.gearRatios.length && engineRpm(state.gear) > params.shiftUpRpm) {
+    state.gear++;
+  } else if (state.gear > 1 && engineRpm(state.gear) < params.shiftDownRpm) {
+    state.gear--;
+  }
+
+  const rpm = engineRpm(Math.abs(state.gear));
+  // The engine never drops below idle, and revs a little higher under throttle
+  state.rpm = Math.min(params.maxRpm, Math.max(params.idleRpm + throttle * 400, rpm));
+}
+
+const approach = (value, target, maxDelta) => {
+  if (value < target) return Math.min(value + maxDelta, target);
+  return Math.max(value - maxDelta, target);
+};
+
+// Advance the vehicle by dt seconds. input is { throttle, brake, steer } with
+// throttle and brake in 0..1 and steer in -1..1 (positive is left). Holding
+// brake at a standstill engages reverse. Mutates and returns state.
+export function stepVehicle(state, input, params, dt) {
+  const { throttle = 0, brake = 0, steer = 0 } = input;
+  const speed = state.speed;
+
+  // Steering: the usable lock shrinks with speed, and the wheels turn at a finite rate
+  const lock = params.maxSteerAngle / (1 + Math.abs(speed) / params.steerFalloffSpeed);
+  state.steerAngle = approach(state.steerAngle, steer * lock, params.steerSpeed * dt);
+
+  // Engine pushes the car; holding brake near a standstill drives it backwards instead
+  const reversing = brake > 0 && throttle === 0 && speed <= 0.5;
+  let driveForce = throttle * params.engineForce;
+  if (reversing && speed > -params.maxReverseSpeed) {
+    driveForce = -brake * params.reverseForce;
+  }
+  let newSpeed = speed + (driveForce / params.mass) * dt;
+
+  // Brakes, drag and rolling resistance slow the car down but never push it backwards
+  const brakingForce = reversing ? 0 : brake * params.brakeForce;
+  const resistance = brakingForce
+    + params.dragCoefficient * speed * speed
+    + params.rollingResistance * params.mass * GRAVITY;
+  newSpeed = approach(newSpeed, 0, (resistance / params.mass) * dt);
+
+  // Bicycle model: yaw rate from speed, wheelbase and steering angle
+  let yawRate = (newSpeed / params.wheelbase) * Math.tan(state.steerAngle);
+
+  // The tyres can only provide grip * g of sideways acceleration; beyond that the car slides
+  const maxLateral = params.tireGrip * GRAVITY;
+  const lateral = newSpeed * yawRate;
+  state.slip = 0;
+  if (Math.abs(lateral) > maxLateral) {
+    state.slip = Math.min(1, 1 - maxLateral / Math.abs(lateral));
+    yawRate *= maxLateral / Math.abs(lateral);
+    newSpeed = approach(newSpeed, 0, state.slip * params.slipScrub * dt);
+  }
+
+  state.longitudinalAccel = (newSpeed - speed) / dt;
+  state.lateralAccel = newSpeed * yawRate;
+  state.yawRate = yawRate;
+  state.speed = newSpeed;
+
+  updateGearbox(state, params, Math.max(throttle, state.gear === -1 ? brake : 0));
+
+  state.heading += yawRate * dt;
+  state.x += Math.sin(state.heading) * newSpeed * dt;
+  state.z += Math.cos(state.heading) * newSpeed * dt;
+  return state;
+}
@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// Each preset sets the look (fog, precipitation, road surface), the sound
+// and how the car handles. Handling values multiply the car's own stats.
+export const WEATHER_PRESETS = {
+  clear: {
+    fogNear: 300, fogFar: 1000,
+    rain: 0, snow: 0, wetness: 0, snowCover: 0,
+    rainVolume: 0, windVolume: 0.05,
+    grip: 1, braking: 1, rolling: 1
+  },
+  foggy: {
+    fogNear: 5, fogFar: 120,
+    rain: 0, snow: 0, wetness: 0.3, snowCover: 0,
+    rainVolume: 0, windVolume: 0.1,
+    grip: 0.95, braking: 0.95, rolling: 1
+  },
+  rainy: {
+    fogNear: 20, fogFar: 350,
+    rain: 1, snow: 0, wetness: 1, snowCover: 0,
+    rainVolume: 0.7, windVolume: 0.3,
+    grip: 0.7, braking: 0.75, rolling: 1.1
+  },
+  snowy: {
+    fogNear: 10, fogFar: 220,
+    rain: 0, snow: 1, wetness: 0.2, snowCover: 1,
+    rainVolume: 0, windVolume: 0.4,
+    grip: 0.45, braking: 0.5, rolling: 1.4
+  }
+};
+
+export const WEATHER_TYPES = Object.keys(WEATHER_PRESETS);
+
+// Particles live in a box that is wrapped around the camera in the vertex
+// shader, so they fall forever without any per-particle work on the CPU.
+const PARTICLE_VERTEX_SHADER = `
+  uniform float time;
+  uniform float boxSize;
+  uniform float fallSpeed;
+  uniform float sway;
+  uniform float pointSize;
+  uniform vec3 center;
+  void main() {
+    vec3 p = position;
+    p.y -= time * fallSpeed;
+    p.x += sin(time * 0.7 + position.z) * sway;
+    p.z += cos(time * 0.5 + position.x) * sway;
+    p = mod(p - center, boxSize) - boxSize * 0.5 + center;
+    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+    gl_PointSize = pointSize / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+  uniform vec3 color;
+  uniform float opacity;
+  uniform float streak;
+  void main() {
+    vec2 uv = gl_PointCoord - 0.5;
+    // Rain is a thin vertical streak, snow a soft dot
+    float shape = streak > 0.5
+      ? step(abs(uv.x), 0.06) * (1.0 - abs(uv.y) * 2.0)
+      : 1.0 - smoothstep(0.2, 0.5, length(uv));
+    if (shape <= 0.0) discard;
+    gl_FragColor = vec4(color, shape * opacity);
+  }
+`;
+
+function createParticles({ count, boxSize, fallSpeed, sway, pointSize, color, streak, seed }) {
+  const random = createRandom(seed);
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < positions.length; i++) {
+    positions[i] = random() * boxSize;
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      time: { value: 0 },
+      boxSize: { value: boxSize },
+      fallSpeed: { value: fallSpeed },
+      sway: { value: sway },
+      pointSize: { value: pointSize },
+      center: { value: new THREE.Vector3() },
+      color: { value: new THREE.Color(color) },
+      opacity: { value: 0 },
+      streak: { value: streak ? 1 : 0 }
+    },
+    vertexShader: PARTICLE_VERTEX_SHADER,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER,
+    transparent: true,
+    depthWrite: false
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // Positions are moved in the shader
+  return points;
+}
+
+// Weather that blends smoothly from one preset to another
+export class WeatherSystem {
+  constructor(scene, { type = 'clear', roadMaterial = null, groundMaterial = null } = {}) {
+    this.scene = scene;
+    this.roadMaterial = roadMaterial;
+    this.groundMaterial = groundMaterial;
+    this.type = WEATHER_PRESETS[type] ? type : 'clear';
+
+    // Fog never reaches further than the camera can see, so the far plane
+    // stays hidden in it
+    this.drawDistance = Infinity;
+
+    // Current blended values, and the transition in progress
+    this.current = { ...WEATHER_PRESETS[this.type] };
+    this.transition = null;
+
+    scene.fog = new THREE.Fog(0xffffff, this.current.fogNear, this.current.fogFar);
+
+    this.rain = createParticles({
+      count: 6000, boxSize: 60, fallSpeed: 25, sway: 0, pointSize: 120,
+      color: 0xaaaacc, streak: true, seed: 11
+    });
+    this.snow = createParticles({
+      count: 4000, boxSize: 60, fallSpeed: 2, sway: 0.6, pointSize: 40,
+      color: 0xffffff, streak: false, seed: 12
+    });
+    scene.add(this.rain, this.snow);
+
+    // Remember the dry road so wetness and snow can be layered on it
+    if (roadMaterial) {
+      this.dryRoad = { color: roadMaterial.color.clone(), roughness: roadMaterial.roughness };
+    }
+    this.time = 0;
+  }
+
+  setWeather(type, duration = 5) {
+    if (!WEATHER_PRESETS[type]) return;
+    this.type = type;
+    this.transition = { from: { ...this.current }, to: WEATHER_PRESETS[type], elapsed: 0, duration };
+  }
+
+  nextWeather() {
+    const index = WEATHER_TYPES.indexOf(this.type);
+    this.setWeather(WEATHER_TYPES[(index + 1) % WEATHER_TYPES.length]);
+  }
+
+  // Scale the car's base handling by the current conditions into target
+  applyHandling(baseParams, target) {
+    target.tireGrip = baseParams.tireGrip * this.current.grip;
+    target.brakeForce = baseParams.brakeForce * this.current.braking;
+    target.rollingResistance = baseParams.rollingResistance * this.current.rolling;
+    return target;
+  }
+
+  update(dt, camera) {
+    this.time += dt;
+
+    if (this.transition) {
+      const { from, to, duration } = this.transition;
+      this.transition.elapsed += dt;
+      const t = duration > 0 ? Math.min(1, this.transition.elapsed / duration) : 1;
+      for (const key of Object.keys(to)) {
+        this.current[key] = THREE.MathUtils.lerp(from[key], to[key], t);
+      }
+      if (t >= 1) this.transition = null;
+    }
+
+    const { fogNear, fogFar, rain, snow, wetness, snowCover } = this.current;
+    this.scene.fog.far = Math.min(fogFar, this.drawDistance);
+    this.scene.fog.near = Math.min(fogNear, this.scene.fog.far * 0.5);
+
+    for (const [particles, amount] of [[this.rain, rain], [this.snow, snow]]) {
+      const uniforms = particles.material.uniforms;
+      uniforms.time.value = this.time;
+      uniforms.opacity.value = amount * 0.8;
+      particles.visible = amount > 0.01;
+    }
+    this.followCamera(camera);
+
+    // Wet asphalt is darker and shinier; snow lightens it
+    if (this.roadMaterial) {
+      this.roadMaterial.roughness = THREE.MathUtils.lerp(this.dryRoad.roughness, 0.2, wetness);
+      this.roadMaterial.color.copy(this.dryRoad.color)
+        .multiplyScalar(1 - 0.4 * wetness)
+        .lerp(new THREE.Color(0xdddddd), snowCover * 0.6);
+    }
+
+    // Snow brightens the grass towards white
+    if (this.groundMaterial) {
+      this.groundMaterial.emissive.setScalar(snowCover * 0.45);
+    }
+  }
+
+  // Centre the falling particles on a camera. Split screen calls this before
+  // drawing each view, so every player is in the rain.
+  followCamera(camera) {
+    this.rain.material.uniforms.center.value.copy(camera.position);
+    this.snow.material.uniforms.center.value.copy(camera.position);
+  }
+
+  // Call draw with the fog pushed out of reach, for views from high above
+  // (the minimap) that the fog would hide. Only the fog's range changes, so
+  // materials keep their shaders, and it is put back even if draw throws.
+  withoutFog(draw) {
+    const fog = this.scene.fog;
+    const { near, far } = fog;
+    fog.near = 1e6;
+    fog.far = 2e6;
+    try {
+      draw();
+    } finally {
+      fog.near = near;
+      fog.far = far;
+    }
+  }
+}
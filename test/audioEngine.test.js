@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioEngine, engineMix, tireGain, windGain } from '../src/audioEngine.js';
+
+// Just enough of an AudioContext to build the engine's graph and record what
+// it does with it
+function createParam(value = 1) {
+  return {
+    value,
+    targets: [],
+    setTargetAtTime(target, time, constant) {
+      this.targets.push({ target, time, constant });
+      this.value = target;
+    }
+  };
+}
+
+function createNode(fields = {}) {
+  return {
+    connections: new Set(),
+    connect(node) { this.connections.add(node); },
+    disconnect() { this.connections.clear(); },
+    ...fields
+  };
+}
+
+class MockAudioContext {
+  constructor(state = 'suspended') {
+    this.state = state;
+    this.currentTime = 0;
+    this.sampleRate = 8000;
+    this.destination = createNode();
+    this.sources = [];
+  }
+
+  createGain() {
+    return createNode({ gain: createParam() });
+  }
+
+  createBiquadFilter() {
+    return createNode({ frequency: createParam(), Q: createParam() });
+  }
+
+  createBuffer(channels, length) {
+    const data = new Float32Array(length);
+    return { getChannelData: () => data };
+  }
+
+  createBufferSource() {
+    const source = createNode({
+      playbackRate: createParam(),
+      started: false,
+      stopped: false,
+      start() { this.started = true; },
+      stop() { this.stopped = true; }
+    });
+    this.sources.push(source);
+    return source;
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  async suspend() {
+    this.state = 'suspended';
+  }
+}
+
+const buffers = { idle: {}, load: {}, wind: {}, tires: {} };
+
+test('engineMix crossfades from idle to load with revs and throttle', () => {
+  const idle = engineMix(800, 0);
+  assert.equal(idle.idleGain, 1);
+  assert.equal(idle.loadGain, 0);
+
+  const full = engineMix(6500, 1);
+  assert.ok(full.idleGain < 1e-9);
+  assert.equal(full.loadGain, 1);
+
+  // Equal power: the two layers always add up to the same loudness
+  for (const [rpm, throttle] of [[1500, 0.2], [3000, 0.5], [5000, 0]]) {
+    const { idleGain, loadGain } = engineMix(rpm, throttle);
+    assert.ok(Math.abs(idleGain ** 2 + loadGain ** 2 - 1) < 1e-9);
+  }
+});
+
+test('engineMix keeps playback rates within range of the recordings', () => {
+  assert.equal(engineMix(1000, 0).idleRate, 1);
+  assert.equal(engineMix(4000, 0).loadRate, 1);
+  assert.equal(engineMix(100, 0).idleRate, 0.5);
+  assert.equal(engineMix(20000, 0).loadRate, 2);
+});
+
+test('windGain grows with the square of speed up to full', () => {
+  assert.equal(windGain(0), 0);
+  assert.equal(windGain(15), 0.25);
+  assert.equal(windGain(30), 1);
+  assert.equal(windGain(60), 1);
+});
+
+test('tireGain squeals on hard braking and sideways slip only', () => {
+  assert.equal(tireGain(-20, 1, 1), 0, 'not when nearly stopped');
+  assert.equal(tireGain(-5, 20, 0), 0, 'not on normal braking');
+  assert.equal(tireGain(-12, 20, 0), 1);
+  assert.equal(tireGain(12, -20, 0), 1, 'braking while reversing');
+  assert.equal(tireGain(0, 20, 0.3), 0);
+  assert.equal(tireGain(0, 20, 1), 1);
+});
+
+test('starting the engine starts every loop silently', () => {
+  const context = new MockAudioContext();
+  const audio = new AudioEngine(context, buffers);
+  assert.equal(context.sources.length, 5);
+  assert.ok(context.sources.every((source) => source.started && source.loop));
+  for (const { gain } of Object.values(audio.layers)) assert.equal(gain.gain.value, 0);
+  assert.ok(audio.master.connections.has(context.destination));
+});
+
+test('update sets the layers from the vehicle', () => {
+  const context = new MockAudioContext('running');
+  const audio = new AudioEngine(context, buffers);
+  audio.setAmbience({ rain: 0.5, wind: 0 });
+  audio.update({ rpm: 4000, speed: 30, longitudinalAccel: 0, slip: 0 }, 1, {});
+
+  const { idle, load, wind, rain, tires } = audio.layers;
+  assert.ok(load.gain.gain.value > idle.gain.gain.value);
+  assert.equal(load.source.playbackRate.value, 1);
+  assert.equal(wind.gain.gain.value, 0.7);
+  assert.equal(rain.gain.gain.value, 0.5);
+  assert.equal(tires.gain.gain.value, 0);
+  assert.equal(load.gain.gain.targets[0].constant, audio.smoothing);
+});
+
+test('resume and suspend follow the context state', async () => {
+  const context = new MockAudioContext('suspended');
+  const audio = new AudioEngine(context, buffers);
+  await audio.resume();
+  assert.equal(context.state, 'running');
+  await audio.suspend();
+  assert.equal(context.state, 'suspended');
+  // Already suspended: nothing to do
+  await audio.suspend();
+  assert.equal(context.state, 'suspended');
+});
+
+test('dispose stops every loop and disconnects the engine', () => {
+  const context = new MockAudioContext('running');
+  const audio = new AudioEngine(context, buffers);
+  audio.dispose();
+  assert.ok(context.sources.every((source) => source.stopped && source.connections.size === 0));
+  assert.equal(audio.master.connections.size, 0);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { loadCar, loadCarManifest, rigModel } from '../src/carLoader.js';
+
+// three's file loader reports progress with the browser's ProgressEvent
+globalThis.ProgressEvent ??= class ProgressEvent extends Event {};
+
+const publicFile = (path) => new URL(`../public${path}`, import.meta.url);
+const manifestText = readFileSync(publicFile('/cars/manifest.json'), 'utf8');
+const roadster = JSON.parse(manifestText).cars.find((entry) => entry.id === 'roadster');
+const roadsterText = readFileSync(publicFile(roadster.model), 'utf8');
+const dataUrl = (type, text) => `data:${type};base64,${Buffer.from(text).toString('base64')}`;
+
+const parseModel = async (text) => (await new GLTFLoader().parseAsync(text, '')).scene;
+
+test('the manifest lists cars, and every model it names ships with the game', async () => {
+  const cars = await loadCarManifest(dataUrl('application/json', manifestText));
+  assert.ok(cars.length > 0);
+  for (const entry of cars.filter((car) => car.model)) {
+    assert.ok(existsSync(publicFile(entry.model)), `${entry.model} is missing`);
+    const model = await parseModel(readFileSync(publicFile(entry.model), 'utf8'));
+    assert.doesNotThrow(() => rigModel(model, entry));
+  }
+});
+
+test('a manifest without a list of cars is rejected', async () => {
+  await assert.rejects(loadCarManifest(dataUrl('application/json', '{"cars":{}}')), /no list of cars/);
+});
+
+test('a failed manifest request is reported with its status', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 404 }));
+  await assert.rejects(loadCarManifest('/cars/manifest.json'), /\(404\)/);
+});
+
+test('rigModel wraps each wheel node in a pivot and spinner and stands the car on the ground', async () => {
+  const model = await parseModel(roadsterText);
+  const wheelNode = model.getObjectByName('Wheel_FL');
+  const before = wheelNode.getWorldPosition(new THREE.Vector3());
+
+  const car = rigModel(model, roadster);
+  const { body, wheels, wheelRadius } = car.userData;
+  assert.ok(body.isGroup);
+  assert.deepEqual(Object.keys(wheels).sort(), ['backLeft', 'backRight', 'frontLeft', 'frontRight']);
+
+  const { pivot, spinner, mesh } = wheels.frontLeft;
+  assert.equal(mesh, wheelNode);
+  assert.equal(mesh.parent, spinner);
+  assert.equal(spinner.parent, pivot);
+  assert.equal(pivot.parent, car);
+  assert.ok(Math.abs(wheelRadius - 0.42) < 1e-6);
+
+  // The wheel stays where the model put it, apart from the lift onto the ground
+  car.updateMatrixWorld(true);
+  const after = wheelNode.getWorldPosition(new THREE.Vector3());
+  assert.ok(Math.abs(after.x - before.x) < 1e-6 && Math.abs(after.z - before.z) < 1e-6);
+  assert.ok(Math.abs(new THREE.Box3().setFromObject(car).min.y) < 1e-6);
+});
+
+test('rigModel refuses a model without the named wheels', async () => {
+  const model = await parseModel(roadsterText);
+  const entry = { ...roadster, wheels: { ...roadster.wheels, frontLeft: 'NoSuchWheel' } };
+  assert.throws(() => rigModel(model, entry), /"NoSuchWheel" not found/);
+  assert.throws(() => rigModel(model, { ...roadster, wheels: {} }), /No frontLeft wheel/);
+});
+
+test('loadCar rigs a model and falls back to the built-in car when its wheels are missing', async (t) => {
+  const model = dataUrl('model/gltf+json', roadsterText);
+  const loaded = await loadCar({ ...roadster, model });
+  assert.equal(loaded.userData.wheels.frontLeft.mesh.name, 'Wheel_FL');
+  assert.equal(loaded.userData.paint, undefined);
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const fallback = await loadCar({ ...roadster, model, wheels: { frontLeft: 'Missing' } });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.ok(fallback.userData.paint, 'the built-in car has paint to recolour');
+  assert.equal(fallback.userData.paint.body.color.getHex(), 0x2255ff);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addCarLights, createCar, createHeadlights, setLightsOn } from '../src/carModel.js';
+
+test('a car can be given headlights made ahead of time', () => {
+  const headlights = createHeadlights();
+  assert.ok(headlights.every((light) => light.isSpotLight && light.intensity === 0));
+
+  const car = createCar();
+  addCarLights(car, headlights);
+  assert.equal(car.userData.lights.headlights, headlights);
+  assert.equal(headlights[0].parent, car.userData.body);
+  assert.ok(headlights[0].position.x < 0 && headlights[1].position.x > 0);
+
+  setLightsOn(car, true);
+  assert.ok(headlights.every((light) => light.intensity > 0));
+});
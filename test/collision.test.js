@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollisionWorld } from '../src/collision.js';
+import { addMountainCollider, createMountainGeometry } from '../src/mountains.js';
+
+// Widest horizontal reach of a cone-shaped mesh at height y, in world space
+function footprintRadius(mesh, y) {
+  const box = new THREE.Box3().setFromObject(mesh);
+  const base = new THREE.Vector3();
+  const position = mesh.geometry.attributes.position;
+  let radius = 0;
+  for (let i = 0; i < position.count; i++) {
+    base.fromBufferAttribute(position, i);
+    radius = Math.max(radius, Math.hypot(base.x, base.z));
+  }
+  return radius * Math.max(0, (box.max.y - y) / (box.max.y - box.min.y));
+}
+
+test('a mountain collider is as wide as the rock at ground level', () => {
+  const world = new CollisionWorld();
+  const groundY = 12;
+  const mountain = new THREE.Mesh(createMountainGeometry());
+  mountain.position.set(40, groundY, -80);
+  mountain.updateMatrixWorld();
+  const collider = addMountainCollider(world, 40, -80, groundY);
+
+  for (const y of [groundY, groundY + 10, groundY + 20]) {
+    assert.ok(Math.abs(world.radiusAt(collider, y) - footprintRadius(mountain, y)) < 1e-6);
+  }
+  assert.equal(world.radiusAt(collider, groundY + 30), 0);
+});
+
+test('a car stops at the side of a mountain, not short of it', () => {
+  const world = new CollisionWorld();
+  addMountainCollider(world, 0, 0, 0);
+  const radius = 15; // Half of the base, at ground level
+  const clear = { position: { x: 0, y: 0, z: -radius - 2.1 }, heading: 0, speed: 10, halfWidth: 1.4, halfLength: 2, id: 'a' };
+  assert.equal(world.resolve(clear), 10);
+  const touching = { position: { x: 0, y: 0, z: -radius - 1.9 }, heading: 0, speed: 10, halfWidth: 1.4, halfLength: 2, id: 'b' };
+  assert.ok(world.resolve(touching) < 10);
+});
+
+test('collision events name the car that hit', () => {
+  const world = new CollisionWorld();
+  world.addCylinder(0, 0, 1);
+  const hits = [];
+  world.addEventListener('collision', ({ car }) => hits.push(car));
+  const car = (id) => ({ position: { x: 0, y: 0, z: -2.5 }, heading: 0, speed: 10, halfWidth: 1.4, halfLength: 2, id });
+  world.resolve(car(0));
+  world.resolve(car(1));
+  world.resolve(car(1)); // Still touching: no new event
+  assert.deepEqual(hits, [0, 1]);
+});
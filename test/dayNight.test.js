@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { DayNightCycle } from '../src/dayNight.js';
+
+function createCycle(options) {
+  const scene = new THREE.Scene();
+  return new DayNightCycle(scene, {
+    sunLight: new THREE.DirectionalLight(),
+    ambientLight: new THREE.AmbientLight(),
+    ...options
+  });
+}
+
+test('start hours outside 0..24 wrap around the clock', () => {
+  assert.equal(createCycle({ startHour: -2 }).hour, 22);
+  assert.equal(createCycle({ startHour: 26 }).hour, 2);
+  assert.equal(createCycle({ startHour: -48 }).hour, 0);
+});
+
+test('time running backwards wraps past midnight', () => {
+  const cycle = createCycle({ startHour: 1, hoursPerMinute: -60 });
+  cycle.update(2, new THREE.Vector3()); // Two hours back
+  assert.ok(Math.abs(cycle.hour - 23) < 1e-9);
+});
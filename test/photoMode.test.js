@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { captureScale } from '../src/photoMode.js';
+
+test('photos scale up as asked while they stay small enough', () => {
+  assert.equal(captureScale(1280, 720, 2, 16384), 2);
+  assert.equal(captureScale(1920, 1080, 1, 16384), 1);
+});
+
+test('photos are capped at about 4K however large the scale', () => {
+  const scale = captureScale(1920, 1080, 4, 16384);
+  assert.ok(Math.abs(scale - 2) < 1e-9);
+
+  // A high-DPI laptop screen
+  const width = 2880;
+  const height = 1800;
+  const laptop = captureScale(width, height, 4, 16384);
+  assert.ok(width * laptop * height * laptop <= 3840 * 2160 + 1);
+});
+
+test('no side of a photo is longer than the GPU allows', () => {
+  assert.equal(captureScale(1000, 100, 4, 2048), 2.048);
+  assert.equal(captureScale(4096, 2304, 2, 4096), 1);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { startRelay } from '../server/relay.js';
+import { NetworkClient } from '../src/network.js';
+
+const car = (x) => ({ x, z: 2 * x, heading: 0.5, speed: 10, steerAngle: 0, yawRate: 0, longitudinalAccel: 0, lateralAccel: 0 });
+
+// Resolve once check() holds, polling every few milliseconds
+async function waitFor(check, what, timeout = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('two drivers share the room seed and see each other', async (t) => {
+  const server = startRelay({ port: 0, host: '127.0.0.1' });
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const url = `ws://127.0.0.1:${server.address().port}/?room=test`;
+
+  const first = new NetworkClient({ url, seed: 42, name: 'First', WebSocket });
+  const second = new NetworkClient({ url, seed: 7, name: 'Second', WebSocket });
+  t.after(() => {
+    first.close();
+    second.close();
+  });
+
+  const joined = [];
+  first.addEventListener('join', ({ id, name }) => joined.push({ id, name }));
+  const welcome = await first.connect();
+  assert.equal(welcome.seed, 42);
+  // The room's world is the first driver's, whatever seed the second brings
+  const secondWelcome = await second.connect();
+  assert.equal(secondWelcome.seed, 42);
+  assert.deepEqual([...second.remotes.keys()], [welcome.id]);
+  await waitFor(() => joined.length === 1, 'the join');
+  assert.deepEqual(joined, [{ id: secondWelcome.id, name: 'Second' }]);
+
+  first.update(car(1));
+  second.update(car(5));
+  await waitFor(() => first.getRemoteCars().length === 1 && second.getRemoteCars().length === 1, 'the states');
+  const [seenByFirst] = first.getRemoteCars();
+  const [seenBySecond] = second.getRemoteCars();
+  assert.deepEqual([seenByFirst.id, seenByFirst.name, seenByFirst.x, seenByFirst.z], [secondWelcome.id, 'Second', 5, 10]);
+  assert.deepEqual([seenBySecond.id, seenBySecond.name, seenBySecond.x, seenBySecond.z], [welcome.id, 'First', 1, 2]);
+
+  // The newest state, for collisions, is there as well; states go out at
+  // the send rate, so keep offering one until it's due
+  await waitFor(() => {
+    first.update(car(3));
+    return second.getRemoteCars()[0].latest.x === 3;
+  }, 'the newer state');
+
+  const left = once(first, 'leave');
+  second.close();
+  const [event] = await left;
+  assert.equal(event.id, secondWelcome.id);
+  assert.equal(first.remotes.size, 0);
+});
+
+test('a relay on a taken port reports the error instead of crashing', async (t) => {
+  const server = startRelay({ port: 0, host: '127.0.0.1' });
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const errors = [];
+  t.mock.method(console, 'error', (message) => errors.push(message));
+  const clash = startRelay({ port: server.address().port, host: '127.0.0.1' });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.match(errors.join('\n'), /EADDRINUSE/);
+  clash.close();
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollisionWorld } from '../src/collision.js';
+import { RemoteCars } from '../src/remoteCars.js';
+
+function createRemoteCars() {
+  const scene = new THREE.Scene();
+  const collisionWorld = new CollisionWorld();
+  const remoteCars = new RemoteCars(scene, { terrain: { getHeightAt: () => 0 }, collisionWorld });
+  return { scene, collisionWorld, remoteCars };
+}
+
+const remoteCar = (id, z, latestZ) => ({
+  id, x: 0, z, heading: 0, speed: 10, steerAngle: 0, latest: { x: 0, z: latestZ, heading: 0 }
+});
+
+test('remote cars are drawn where they were but collide where they latest are', () => {
+  const { collisionWorld, remoteCars } = createRemoteCars();
+  remoteCars.update([remoteCar(1, 10, 11.5)], 1 / 60);
+
+  const { object, colliders } = remoteCars.active.get(1);
+  assert.equal(object.position.z, 10);
+  const centre = colliders.reduce((sum, collider) => sum + collider.z, 0) / colliders.length;
+  assert.ok(Math.abs(centre - 11.5) < 1e-9);
+  assert.equal(collisionWorld.colliders.size, 2);
+});
+
+test('a car that leaves gives back its colliders and GPU resources', () => {
+  const { scene, collisionWorld, remoteCars } = createRemoteCars();
+  remoteCars.update([remoteCar(1, 0, 0), remoteCar(2, 20, 20)], 1 / 60);
+  const { object } = remoteCars.active.get(2);
+
+  const resources = new Set();
+  object.traverse((child) => {
+    if (child.geometry) resources.add(child.geometry);
+    if (child.material) resources.add(child.material);
+  });
+  const disposed = new Set();
+  for (const resource of resources) {
+    resource.addEventListener('dispose', () => disposed.add(resource));
+  }
+
+  remoteCars.update([remoteCar(1, 0, 0)], 1 / 60);
+  assert.equal(object.parent, null);
+  assert.ok(resources.size > 0);
+  assert.equal(disposed.size, resources.size);
+  assert.equal(collisionWorld.colliders.size, 2);
+  assert.ok(scene.children.includes(remoteCars.active.get(1).object));
+});
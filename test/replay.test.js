@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CollisionWorld } from '../src/collision.js';
+import { stepCar } from '../src/carStep.js';
+import { DEFAULT_VEHICLE_PARAMS, createVehicleState } from '../src/vehiclePhysics.js';
+import {
+  ReplayRecorder, decodeReplay, encodeReplay, frameTransform, quantizeInput, simulateReplay
+} from '../src/replay.js';
+
+const TIMESTEP = 1 / 60;
+const flatGround = { getHeightAt: () => 0 };
+
+// A tree just off the line ahead of the start and a world edge close to the left
+function createWorld() {
+  const world = new CollisionWorld({ bounds: { minX: -500, maxX: 8, minZ: -Infinity, maxZ: Infinity } });
+  world.addCylinder(1.8, 40, 0.5);
+  return world;
+}
+
+// Drive the way Player.step does, recording every step. The drive clips the
+// tree, brakes, then steers left into the world edge. Grip changes half
+// way through, as it does when the weather turns.
+function recordDrive(collisionWorld) {
+  const vehicle = createVehicleState({ x: 0, z: 0, heading: 0, speed: 0 });
+  const pose = { x: 0, y: 0, z: 0, heading: 0, pitch: 0, roll: 0 };
+  const params = { ...DEFAULT_VEHICLE_PARAMS };
+  const recorder = new ReplayRecorder({ seed: 1, carId: 'classic', vehicle, params, timestep: TIMESTEP });
+  for (let frame = 0; frame < 900; frame++) {
+    const time = frame * TIMESTEP;
+    if (frame === 450) params.tireGrip *= 0.7;
+    const input = quantizeInput({
+      throttle: time < 8 ? 0.8 : 0.3,
+      brake: time > 6 && time < 7 ? 0.3 : 0,
+      steer: time > 7 ? 0.5 + 0.3 * Math.sin(time) : 0
+    });
+    stepCar({ vehicle, pose, input, params, dt: TIMESTEP, collisionWorld, terrain: flatGround, id: 'car' });
+    recorder.record(input, vehicle, params);
+  }
+  return recorder.finish();
+}
+
+function assertFollowsTransforms(replay, states) {
+  assert.equal(states.length, replay.frameCount);
+  states.forEach((state, frame) => {
+    const recorded = frameTransform(replay, frame);
+    assert.equal(Math.round(state.x * 100) / 100, recorded.x, `x at frame ${frame}`);
+    assert.equal(Math.round(state.z * 100) / 100, recorded.z, `z at frame ${frame}`);
+    assert.equal(Math.round(state.heading * 10000) / 10000, recorded.heading, `heading at frame ${frame}`);
+  });
+}
+
+test('replaying the inputs reproduces a drive that hit obstacles', () => {
+  const world = createWorld();
+  const hits = [];
+  world.addEventListener('collision', ({ collider }) => hits.push(collider.type));
+  const replay = decodeReplay(encodeReplay(recordDrive(world)));
+  assert.ok(hits.includes('cylinder'), 'the drive hits the tree');
+  assert.ok(hits.includes('bounds'), 'the drive hits the world edge');
+  assert.equal(replay.paramChanges.length, 1);
+
+  const states = simulateReplay(replay, DEFAULT_VEHICLE_PARAMS, { collisionWorld: createWorld(), terrain: flatGround });
+  assertFollowsTransforms(replay, states);
+});
+
+test('without the obstacles the re-run parts ways at the first hit', () => {
+  const replay = recordDrive(createWorld());
+  const states = simulateReplay(replay, DEFAULT_VEHICLE_PARAMS);
+  const last = frameTransform(replay, replay.frameCount - 1);
+  const end = states[states.length - 1];
+  assert.ok(Math.hypot(end.x - last.x, end.z - last.z) > 1);
+});
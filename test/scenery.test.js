@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVegetationPlacer, generateScenery } from '../src/scenery.js';
+
+// Keep a 40 m wide strip along z free, like a straight road
+const isClear = (x, z, margin) => Math.abs(x) > 20 + margin;
+
+test('the same seed gives the same scenery', () => {
+  const a = generateScenery(1234, { isClear });
+  const b = generateScenery(1234, { isClear });
+  assert.ok(a.mountains.length > 0);
+  assert.deepEqual(a, b);
+});
+
+test('different seeds give different scenery', () => {
+  const a = generateScenery(1234, { isClear });
+  const b = generateScenery(1235, { isClear });
+  assert.notDeepEqual(a, b);
+});
+
+test('mountains stay clear of the road', () => {
+  for (const { x } of generateScenery(99, { isClear }).mountains) {
+    assert.ok(Math.abs(x) > 55);
+  }
+});
+
+test('a vegetation cell gets the same plants whatever order cells are placed in', () => {
+  const first = createVegetationPlacer(7, { isClear });
+  const second = createVegetationPlacer(7, { isClear });
+  const cell = first.placeCell(3, -2);
+  second.placeCell(0, 0);
+  second.placeCell(5, 5);
+  assert.deepEqual(second.placeCell(3, -2), cell);
+  assert.notDeepEqual(createVegetationPlacer(8, { isClear }).placeCell(3, -2), cell);
+});
+
+test('lower vegetation density keeps a subset of the plants', () => {
+  const placer = createVegetationPlacer(7, { isClear });
+  const full = placer.placeCell(3, -2, 1);
+  const half = placer.placeCell(3, -2, 0.5);
+  for (const [name, plants] of Object.entries(half)) {
+    assert.ok(plants.length <= full[name].length);
+    for (const plant of plants) assert.ok(full[name].some((other) => other.x === plant.x && other.z === plant.z));
+  }
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  defaultSettings, loadSettings, saveSettings, validateSetting, validateSettings
+} from '../src/settingsStorage.js';
+
+const schema = {
+  volume: { type: 'number', min: 0, max: 1, default: 0.8 },
+  units: { type: 'choice', options: ['kmh', 'mph'], default: 'kmh' }
+};
+
+// localStorage stand-in
+function createStorage(items = {}) {
+  const values = new Map(Object.entries(items));
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value))
+  };
+}
+
+const stored = (value) => createStorage({ 'chill-drive.settings': value });
+
+test('numbers are clamped and choices checked', () => {
+  assert.equal(validateSetting(schema, 'volume', 0.5), 0.5);
+  assert.equal(validateSetting(schema, 'volume', 3), 1);
+  assert.equal(validateSetting(schema, 'volume', -1), 0);
+  assert.equal(validateSetting(schema, 'units', 'mph'), 'mph');
+});
+
+test('invalid values and unknown keys are rejected', () => {
+  for (const value of [null, undefined, '', '0.25', 'loud', NaN, Infinity, {}, [], [0.5], true, false]) {
+    assert.equal(validateSetting(schema, 'volume', value), undefined, String(value));
+  }
+  assert.equal(validateSetting(schema, 'units', 'knots'), undefined);
+  assert.equal(validateSetting(schema, 'colour', 'red'), undefined);
+});
+
+test('validateSettings fills in defaults and drops unknown keys', () => {
+  assert.deepEqual(validateSettings(schema, { volume: 'loud', extra: 1 }), { volume: 0.8, units: 'kmh' });
+  assert.deepEqual(validateSettings(schema, 'nonsense'), defaultSettings(schema));
+});
+
+test('nothing stored gives the defaults', () => {
+  assert.deepEqual(loadSettings(schema, createStorage()), { volume: 0.8, units: 'kmh' });
+  assert.deepEqual(loadSettings(schema, null), { volume: 0.8, units: 'kmh' });
+});
+
+test('stored settings with missing or invalid values keep the valid ones', () => {
+  assert.deepEqual(loadSettings(schema, stored('{"units":"mph"}')), { volume: 0.8, units: 'mph' });
+  assert.deepEqual(loadSettings(schema, stored('{"volume":7,"units":"knots"}')), { volume: 1, units: 'kmh' });
+  for (const volume of ['[]', '[0.5]', 'true', '""', '"0.5"']) {
+    assert.deepEqual(loadSettings(schema, stored(`{"volume":${volume}}`)), { volume: 0.8, units: 'kmh' }, volume);
+  }
+});
+
+test('corrupted storage gives the defaults', () => {
+  for (const value of ['{not json', '42', '"text"', '[1,2]']) {
+    assert.deepEqual(loadSettings(schema, stored(value)), { volume: 0.8, units: 'kmh' }, value);
+  }
+  const throwing = { getItem: () => { throw new Error('Storage is disabled'); } };
+  assert.deepEqual(loadSettings(schema, throwing), { volume: 0.8, units: 'kmh' });
+});
+
+test('saved settings load back', () => {
+  const storage = createStorage();
+  saveSettings({ volume: 0.3, units: 'mph' }, storage);
+  assert.deepEqual(loadSettings(schema, storage), { volume: 0.3, units: 'mph' });
+});
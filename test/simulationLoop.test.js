@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationLoop } from '../src/simulationLoop.js';
+import { DEFAULT_VEHICLE_PARAMS, createVehicleState, stepVehicle } from '../src/vehiclePhysics.js';
+
+// Drive for duration seconds of frames frameTime apart, steering by simulated
+// time. Returns the vehicle state after every step.
+function drive(frameTime, duration) {
+  const vehicle = createVehicleState();
+  const states = [];
+  let time = 0;
+  const loop = new SimulationLoop({
+    step: (dt) => {
+      stepVehicle(vehicle, { throttle: 0.8, brake: 0, steer: Math.sin(time) * 0.5 }, DEFAULT_VEHICLE_PARAMS, dt);
+      time += dt;
+      states.push({ ...vehicle });
+    },
+    render: () => {}
+  });
+  for (let elapsed = 0; elapsed < duration - 1e-9; elapsed += frameTime) {
+    loop.advance(frameTime);
+  }
+  return states;
+}
+
+test('the trajectory does not depend on the frame rate', () => {
+  const slow = drive(1 / 30, 5);
+  const fast = drive(1 / 144, 5);
+  // Rounding in the accumulator may leave one step for the next frame
+  assert.ok(Math.abs(slow.length - 300) <= 1);
+  assert.ok(Math.abs(fast.length - 300) <= 1);
+  const steps = Math.min(slow.length, fast.length);
+  for (let i = 0; i < steps; i++) {
+    assert.deepEqual(fast[i], slow[i], `step ${i}`);
+  }
+  assert.ok(slow[steps - 1].speed > 5);
+});
+
+test('a long stall runs at most maxFrameTime worth of steps', () => {
+  let steps = 0;
+  const loop = new SimulationLoop({ step: () => steps++, render: () => {}, maxFrameTime: 0.25 });
+  assert.equal(loop.advance(2), 15);
+  assert.equal(steps, 15);
+});
+
+test('paused and slowed down loops step accordingly but keep rendering', () => {
+  let renders = 0;
+  const loop = new SimulationLoop({ step: () => {}, render: () => renders++ });
+  loop.pause();
+  assert.equal(loop.advance(0.1), 0);
+  loop.resume();
+  loop.setTimeScale(0.25);
+  assert.equal(loop.advance(0.24), 3);
+  assert.equal(renders, 2);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SNAPSHOT_VERSION, createSnapshot, decodeSnapshot, encodeSnapshot, getSnapshotFromQuery,
+  loadSnapshot, parseSnapshot, saveSnapshot, serializeSnapshot, validateSnapshot
+} from '../src/snapshot.js';
+
+const snapshot = createSnapshot({
+  seed: 123456789,
+  carId: 'roadster',
+  vehicle: { x: 12.3456, z: -987.654321, heading: 1.234567, speed: 22.222 },
+  hour: 17.12345,
+  weather: 'rainy'
+});
+
+// localStorage stand-in
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value))
+  };
+}
+
+test('snapshots round to what they need to keep', () => {
+  assert.deepEqual(snapshot, {
+    version: SNAPSHOT_VERSION,
+    seed: 123456789,
+    carId: 'roadster',
+    car: { x: 12.35, z: -987.65, heading: 1.2346, speed: 22.22 },
+    hour: 17.123,
+    weather: 'rainy'
+  });
+});
+
+test('snapshots survive JSON, links and storage unchanged', () => {
+  assert.deepEqual(parseSnapshot(serializeSnapshot(snapshot)), snapshot);
+
+  const link = encodeSnapshot(snapshot);
+  assert.match(link, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeSnapshot(link), snapshot);
+  assert.deepEqual(getSnapshotFromQuery(`?seed=1&session=${link}`), snapshot);
+  assert.equal(getSnapshotFromQuery('?seed=1'), null);
+
+  const storage = createStorage();
+  assert.equal(loadSnapshot(storage), null);
+  saveSnapshot(snapshot, storage);
+  assert.deepEqual(loadSnapshot(storage), snapshot);
+});
+
+test('hours are wrapped into 0..24', () => {
+  assert.equal(validateSnapshot({ ...snapshot, hour: -1 }).hour, 23);
+  assert.equal(validateSnapshot({ ...snapshot, hour: 49 }).hour, 1);
+});
+
+test('malformed snapshots are rejected with a reason', () => {
+  const cases = [
+    [null, /not an object/],
+    [{ ...snapshot, version: undefined }, /no valid version/],
+    [{ ...snapshot, version: '1' }, /no valid version/],
+    [{ ...snapshot, seed: -1 }, /seed/],
+    [{ ...snapshot, seed: 2 ** 32 }, /seed/],
+    [{ ...snapshot, carId: 7 }, /car id/],
+    [{ ...snapshot, car: { ...snapshot.car, speed: 'fast' } }, /numeric x, z, heading and speed/],
+    [{ ...snapshot, car: null }, /numeric x, z, heading and speed/],
+    [{ ...snapshot, hour: NaN }, /hour/],
+    [{ ...snapshot, weather: 'hail' }, /Unknown weather "hail"/]
+  ];
+  for (const [data, reason] of cases) {
+    assert.throws(() => validateSnapshot(data), reason);
+  }
+  assert.throws(() => parseSnapshot('{"version":'), /not valid JSON/);
+  assert.throws(() => decodeSnapshot('%%%'), /link is damaged/);
+  assert.throws(() => decodeSnapshot(encodeSnapshot({ ...snapshot, weather: 'hail' })), /Unknown weather/);
+});
+
+test('snapshots from a newer or retired version are rejected', () => {
+  assert.throws(() => validateSnapshot({ ...snapshot, version: SNAPSHOT_VERSION + 1 }), /newer than this game supports/);
+  assert.throws(() => validateSnapshot({ ...snapshot, version: 0 }), /no valid version/);
+  // A version 2 game without an upgrade from 1
+  assert.throws(() => validateSnapshot(snapshot, { version: 2, migrations: {} }), /version 1 can no longer be loaded/);
+});
+
+test('older snapshots are upgraded through each migration in turn', () => {
+  // Pretend version 1 kept the time of day in minutes and version 2 stored
+  // the weather in capitals
+  const migrations = {
+    1: ({ minutes, ...old }) => ({ ...old, version: 2, hour: minutes / 60, weather: old.weather.toUpperCase() }),
+    2: (old) => ({ ...old, version: 3, weather: old.weather.toLowerCase() })
+  };
+  const { hour, ...rest } = snapshot;
+  const old = { ...rest, version: 1, minutes: 90 };
+
+  const upgraded = validateSnapshot(old, { version: 3, migrations });
+  assert.deepEqual(upgraded, { ...snapshot, version: 3, hour: 1.5 });
+
+  const stuck = { 1: (data) => ({ ...data }) };
+  assert.throws(() => validateSnapshot(old, { version: 2, migrations: stuck }), /did not raise its version/);
+});
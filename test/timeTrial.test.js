@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createGates, createTrial, findCrossing, mergeBestTimes, passGate, sectorCount, validateRoute
+} from '../src/timeTrial.js';
+
+// A gate at the origin, driven through towards +z, 10 m wide
+const gate = { x: 0, z: 0, dirX: 0, dirZ: 1, halfWidth: 5 };
+
+const route = (closed, laps = 1) => validateRoute({
+  id: 'test',
+  closed,
+  laps,
+  checkpoints: [{ z: 0 }, { z: 100 }, { z: 200 }]
+});
+
+// Drive through every gate of a trial in turn, one every 10 s
+function drive(trial, gates) {
+  const events = [];
+  for (let i = 0; i < gates; i++) {
+    const result = passGate(trial, (i + 1) * 10);
+    trial = result.trial;
+    events.push(result.event);
+  }
+  return { trial, events };
+}
+
+test('findCrossing finds a forward crossing inside the gate', () => {
+  assert.equal(findCrossing(gate, { x: 1, z: -3 }, { x: 1, z: 1 }), 0.75);
+  // Ending exactly on the line counts
+  assert.equal(findCrossing(gate, { x: 0, z: -1 }, { x: 0, z: 0 }), 1);
+});
+
+test('findCrossing ignores a backward crossing', () => {
+  assert.equal(findCrossing(gate, { x: 1, z: 1 }, { x: 1, z: -3 }), null);
+});
+
+test('findCrossing ignores a crossing outside the gate', () => {
+  assert.equal(findCrossing(gate, { x: 6, z: -1 }, { x: 6, z: 1 }), null);
+  assert.equal(findCrossing(gate, { x: -5.5, z: -1 }, { x: -5.5, z: 1 }), null);
+});
+
+test('gates face the way the route is driven', () => {
+  const straightRoad = { centerXAt: () => 0 };
+  const forwards = createGates(route(false), straightRoad);
+  assert.deepEqual(forwards.map(({ dirZ }) => dirZ), [1, 1, 1]);
+
+  const backwards = createGates({ ...route(false), checkpoints: [...route(false).checkpoints].reverse() }, straightRoad);
+  assert.deepEqual(backwards.map(({ dirZ }) => dirZ), [-1, -1, -1]);
+  assert.equal(findCrossing(backwards[0], { x: 0, z: 201 }, { x: 0, z: 199 }), 0.5);
+});
+
+test('open routes have one sector fewer than gates, closed routes as many', () => {
+  assert.equal(sectorCount(createTrial(route(false))), 2);
+  assert.equal(sectorCount(createTrial(route(true))), 3);
+  // An open route is only ever driven once
+  assert.equal(route(false, 3).laps, 1);
+});
+
+test('an open route starts, times its sectors and finishes at the last gate', () => {
+  const { trial, events } = drive(createTrial(route(false)), 3);
+  assert.deepEqual(events.map((event) => event.type), ['start', 'sector', 'finish']);
+  assert.deepEqual(events[1], { type: 'sector', sector: 0, sectorTime: 10 });
+  assert.deepEqual(events[2], { type: 'finish', lapTime: 20, totalTime: 20, sector: 1, sectorTime: 10 });
+  assert.equal(trial.finished, true);
+  assert.deepEqual(trial.sectors, [[10, 10]]);
+  assert.equal(passGate(trial, 100).event, null);
+});
+
+test('a closed route laps back through the start gate', () => {
+  const { trial, events } = drive(createTrial(route(true, 2)), 7);
+  assert.deepEqual(events.map((event) => event.type), ['start', 'sector', 'sector', 'lap', 'sector', 'sector', 'finish']);
+  assert.deepEqual(events[3], { type: 'lap', lap: 0, lapTime: 30, sector: 2, sectorTime: 10 });
+  assert.equal(events[6].totalTime, 60);
+  assert.deepEqual(trial.lapTimes, [30, 30]);
+  assert.equal(trial.lap, 2);
+});
+
+test('the next gate wraps round to the start on closed routes', () => {
+  let trial = createTrial(route(true, 2));
+  const next = [];
+  for (let i = 0; i < 4; i++) {
+    trial = passGate(trial, i).trial;
+    next.push(trial.next);
+  }
+  assert.deepEqual(next, [1, 2, 0, 1]);
+});
+
+test('the first finished trial sets every best time', () => {
+  const { trial } = drive(createTrial(route(true, 2)), 7);
+  const { best, improved } = mergeBestTimes(null, trial);
+  assert.deepEqual(best, { total: 60, lap: 30, sectors: [10, 10, 10] });
+  assert.deepEqual(improved, { total: true, lap: true, sectors: [true, true, true] });
+});
+
+test('merging keeps the better of the old and new times', () => {
+  const { trial } = drive(createTrial(route(false)), 3);
+  const { best, improved } = mergeBestTimes({ total: 25, lap: 25, sectors: [8, 12] }, trial);
+  assert.deepEqual(best, { total: 20, lap: 20, sectors: [8, 10] });
+  assert.deepEqual(improved, { total: true, lap: true, sectors: [false, true] });
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TRAFFIC_SETTINGS, TrafficSimulation, idmAcceleration, lanePose } from '../src/traffic.js';
+
+const TIMESTEP = 1 / 60;
+const straightRoad = { centerXAt: () => 0 };
+const { minGap, timeHeadway, carLength } = DEFAULT_TRAFFIC_SETTINGS;
+
+function addCar(traffic, { z, speed, desiredSpeed, direction = 1 }) {
+  const pose = lanePose(traffic.road, z, direction);
+  const car = { id: traffic.nextId++, direction, ...pose, previous: pose, speed, desiredSpeed, accel: 0, color: 0 };
+  traffic.cars.push(car);
+  return car;
+}
+
+// Just the cars added by hand: no room for the simulation to spawn more
+function createTraffic(maxCars) {
+  return new TrafficSimulation({ road: straightRoad, seed: 1, density: 1, settings: { ...DEFAULT_TRAFFIC_SETTINGS, maxCars } });
+}
+
+test('IDM keeps cruising speed on an empty road', () => {
+  assert.equal(idmAcceleration(20, 20, Infinity, 0), 0);
+  assert.ok(idmAcceleration(10, 20, Infinity, 0) > 0);
+  assert.ok(idmAcceleration(10, 20, 5, 10) < 0);
+});
+
+test('a faster car settles behind a slower one and keeps a safe gap', () => {
+  const traffic = createTraffic(2);
+  const leader = addCar(traffic, { z: 60, speed: 12, desiredSpeed: 12 });
+  const follower = addCar(traffic, { z: 0, speed: 22, desiredSpeed: 22 });
+  // A player well off the road keeps both cars alive
+  const player = { x: 100, z: 0, heading: 0, speed: 0 };
+
+  const gapAt = () => leader.z - follower.z - carLength;
+  let smallest = Infinity;
+  let gapTenSecondsBefore = null;
+  for (let step = 0; step < 120 * 60; step++) {
+    player.z = follower.z;
+    traffic.step(TIMESTEP, [player]);
+    smallest = Math.min(smallest, gapAt());
+    if (step === 110 * 60) gapTenSecondsBefore = gapAt();
+  }
+
+  assert.ok(smallest > minGap, `closest gap ${smallest.toFixed(2)} m`);
+  assert.ok(Math.abs(follower.speed - leader.speed) < 0.05);
+  assert.ok(gapAt() >= minGap + follower.speed * timeHeadway);
+  assert.ok(Math.abs(gapAt() - gapTenSecondsBefore) < 0.05, 'the gap has settled');
+});
+
+test('cars stop behind a player stopped in their lane', () => {
+  const traffic = createTraffic(1);
+  const car = addCar(traffic, { z: 0, speed: 20, desiredSpeed: 20 });
+  const player = { ...lanePose(straightRoad, 140, 1), speed: 0 };
+
+  for (let step = 0; step < 60 * 60; step++) traffic.step(TIMESTEP, [player]);
+
+  const gap = player.z - car.z - carLength;
+  assert.ok(car.speed < 0.1);
+  assert.ok(gap > 0 && gap < minGap + 1, `stopped ${gap.toFixed(2)} m short`);
+});
+
+test('cars drive past a player in the other lane', () => {
+  const traffic = createTraffic(1);
+  const car = addCar(traffic, { z: 0, speed: 20, desiredSpeed: 20 });
+  const player = { ...lanePose(straightRoad, 140, -1), speed: 0 };
+
+  for (let step = 0; step < 20 * 60; step++) traffic.step(TIMESTEP, [player]);
+
+  assert.ok(car.z > player.z);
+  assert.ok(car.speed > 19);
+});
+
+test('density sets how many cars are spawned', () => {
+  const countAt = (density) => {
+    const traffic = new TrafficSimulation({ road: straightRoad, seed: 3, density });
+    const player = { x: 0, z: 0, heading: 0, speed: 0 };
+    for (let step = 0; step < 600; step++) traffic.step(TIMESTEP, [player]);
+    return traffic;
+  };
+
+  assert.equal(countAt(0).cars.length, 0);
+  const sparse = countAt(0.25);
+  const dense = countAt(1);
+  assert.ok(sparse.cars.length > 0 && sparse.cars.length <= sparse.maxCars);
+  assert.ok(dense.cars.length > sparse.cars.length);
+
+  // Turning the density down retires the extra cars
+  dense.setDensity(0.25);
+  dense.step(TIMESTEP, [{ x: 0, z: 0, heading: 0, speed: 0 }]);
+  assert.equal(dense.cars.length, dense.maxCars);
+});
+
+test('cars only spawn behind a player on road that is streamed in', () => {
+  const roadBehind = 200;
+  const spawnAround = (direction) => {
+    const traffic = new TrafficSimulation({ road: straightRoad, seed: 5, density: 1, settings: { ...DEFAULT_TRAFFIC_SETTINGS, roadBehind } });
+    const player = { x: 0, z: 1000, heading: 0, speed: 0, direction };
+    const offsets = [];
+    for (let step = 0; step < 2000; step++) {
+      const car = traffic.trySpawn(player);
+      if (car) offsets.push((car.z - player.z) * direction);
+      traffic.cars.length = 0;
+    }
+    return offsets;
+  };
+
+  for (const direction of [1, -1]) {
+    const offsets = spawnAround(direction);
+    const behind = offsets.filter((offset) => offset < 0);
+    const ahead = offsets.filter((offset) => offset > 0);
+    assert.ok(behind.length > 0 && ahead.length > 0);
+    assert.ok(behind.every((offset) => -offset <= roadBehind));
+    assert.ok(Math.max(...ahead) > roadBehind, 'ahead keeps the full spawn range');
+  }
+});
+
+test('no cars spawn behind a player when too little road is streamed there', () => {
+  const traffic = new TrafficSimulation({ road: straightRoad, seed: 5, density: 1, settings: { ...DEFAULT_TRAFFIC_SETTINGS, roadBehind: 50 } });
+  const player = { x: 0, z: 0, heading: 0, speed: 0, direction: 1 };
+  for (let step = 0; step < 300; step++) traffic.step(TIMESTEP, [player]);
+  assert.ok(traffic.cars.length > 0);
+  assert.ok(traffic.cars.every((car) => car.z > 0));
+});
+
+test('cars left behind a player are dropped where the road ends', () => {
+  const traffic = createTraffic(1);
+  traffic.settings = { ...traffic.settings, roadBehind: 200 };
+  const car = addCar(traffic, { z: -150, speed: 0, desiredSpeed: 10, direction: -1 });
+  const player = { x: 100, z: 0, heading: 0, speed: 0, direction: 1 };
+  traffic.step(TIMESTEP, [player]);
+  assert.deepEqual(traffic.cars, [car]);
+  for (let step = 0; step < 10 * 60 && traffic.cars.includes(car); step++) traffic.step(TIMESTEP, [player]);
+  assert.ok(!traffic.cars.includes(car));
+  assert.ok(-car.z > 200 && -car.z < 201, `dropped at ${car.z.toFixed(2)}`);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollisionWorld } from '../src/collision.js';
+import { Vegetation } from '../src/vegetation.js';
+
+// Flat ground with a 40 m wide road along z
+function createVegetation() {
+  const collisionWorld = new CollisionWorld();
+  const vegetation = new Vegetation(new THREE.Scene(), {
+    seed: 7,
+    terrain: { getHeightAt: () => 0 },
+    roadNetwork: { isClear: (x, z, margin) => Math.abs(x) > 20 + margin },
+    collisionWorld,
+    drawDistance: 100
+  });
+  return { vegetation, collisionWorld };
+}
+
+const densities = (vegetation) => [...vegetation.cells.values()].map((cell) => cell.density);
+
+test('a density change re-places a few cells per update', () => {
+  const { vegetation, collisionWorld } = createVegetation();
+  vegetation.update(0, 0);
+  const cellCount = vegetation.cells.size;
+  const fullColliders = collisionWorld.colliders.size;
+
+  vegetation.setDensity(0.4);
+  assert.ok(densities(vegetation).every((density) => density === 1));
+
+  vegetation.update(0, 0, 2);
+  assert.equal(densities(vegetation).filter((density) => density === 0.4).length, 2);
+  assert.equal(vegetation.cells.size, cellCount);
+
+  // The nearest cells go first
+  assert.equal(vegetation.cells.get('0,0').density, 0.4);
+
+  for (let i = 0; i < cellCount; i++) vegetation.update(0, 0, 2);
+  assert.ok(densities(vegetation).every((density) => density === 0.4));
+  assert.ok(collisionWorld.colliders.size < fullColliders);
+});
+
+test('re-placed cells swap their colliders with their trees', () => {
+  const { vegetation, collisionWorld } = createVegetation();
+  vegetation.update(0, 0);
+  vegetation.setDensity(0.4);
+  for (let i = 0; i < vegetation.cells.size; i++) vegetation.update(0, 0, 2);
+
+  const fresh = createVegetation();
+  fresh.vegetation.setDensity(0.4);
+  fresh.vegetation.update(0, 0);
+  assert.equal(collisionWorld.colliders.size, fresh.collisionWorld.colliders.size);
+});
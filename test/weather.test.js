@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { WeatherSystem } from '../src/weather.js';
+
+test('withoutFog lifts the fog for one draw and puts it back', () => {
+  const scene = new THREE.Scene();
+  const weather = new WeatherSystem(scene, { type: 'foggy' });
+  weather.update(0, new THREE.PerspectiveCamera());
+  const fog = scene.fog;
+  const { near, far } = fog;
+
+  let seen = null;
+  weather.withoutFog(() => {
+    seen = { fog: scene.fog, far: scene.fog.far };
+  });
+  assert.equal(seen.fog, fog);
+  assert.ok(seen.far > 1e5);
+  assert.deepEqual([fog.near, fog.far], [near, far]);
+
+  assert.throws(() => weather.withoutFog(() => {
+    throw new Error('draw failed');
+  }), /draw failed/);
+  assert.deepEqual([fog.near, fog.far], [near, far]);
+});